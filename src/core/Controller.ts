@@ -6,15 +6,22 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {IController} from "../interfaces/IController";
+import {CommandMiddleware, IController} from "../interfaces/IController";
+import {DuplicatePolicy} from "../interfaces/IFacade";
 import {IView} from "../interfaces/IView";
 import {View} from "./View";
 import {ICommand} from "../interfaces/ICommand";
 import {INotification} from "../interfaces/INotification";
 import {Observer} from "../patterns/observer/Observer";
+import {ICommandHistory} from "../interfaces/ICommandHistory";
+import {CommandHistory} from "../patterns/command/CommandHistory";
+import {GuardRejection, IGuard} from "../interfaces/IGuard";
+import {Guard} from "../patterns/command/Guard";
+import {Notification} from "../patterns/observer/Notification";
+import {Injector} from "../patterns/facade/Injector";
 
 /**
- * A Singleton `Controller` implementation.
+ * A Multiton `Controller` implementation.
  *
  * In PureMVC, the `Controller` class follows the
  * 'Command and Controller' strategy, and assumes these
@@ -51,43 +58,90 @@ export class Controller implements IController {
 
     /** Message Constants
      * @type {string} */
-    protected static SINGLETON_MSG: string = "Controller Singleton already constructed!";
+    protected static MULTITON_MSG: string = "Controller instance for this Multiton key already constructed!";
+
+    /** The key of the Core used when none is given
+     * @type {string} */
+    public static DEFAULT_KEY: string = "PureMVC";
+
+    /** Notification name undoing the last undoable Command executed
+     * @type {string} */
+    public static UNDO: string = "Controller/undo";
+
+    /** Notification name redoing the last undoable Command undone
+     * @type {string} */
+    public static REDO: string = "Controller/redo";
+
+    /** Default notification name sent when a guard rejects a Command
+     * @type {string} */
+    public static GUARD_REJECTED: string = "Controller/guardRejected";
 
     /**
-     * Singleton instance
+     * Multiton instances
      *
-     * @type {IController}
+     * @type {{ [key: string]: IController }}
      * @protected
      */
-    protected static instance: IController;
+    protected static instanceMap: { [key: string]: IController } = {};
+
+    /** The Multiton Key for this Core
+     * @type {string} */
+    protected multitonKey: string;
 
     /** Local reference to View
      * @type {IView | undefined} */
     protected view?: IView;
 
-    /** Mapping of Notification names to Command factories
-     * @type {{ [key: string]: () => ICommand }} */
-    protected commandMap: { [key: string]: () => ICommand };
+    /** Mapping of Notification names to ordered lists of Command factories
+     * @type {{ [key: string]: (() => ICommand)[] }} */
+    protected commandMap: { [key: string]: (() => ICommand)[] };
+
+    /** The middleware wrapping the execution of each Command, outermost first
+     * @type {CommandMiddleware[]} */
+    protected middleware: CommandMiddleware[] = [];
+
+    /** Whether registering a second Command for a Notification throws
+     * @type {boolean} */
+    private _strict: boolean = false;
+
+    /** How a second Command registered for a Notification in strict mode is handled
+     * @type {DuplicatePolicy} */
+    private _duplicatePolicy: DuplicatePolicy = "throw";
+
+    /** History of the undoable Commands executed
+     * @type {ICommandHistory} */
+    private _commandHistory: ICommandHistory;
+
+    /** The notify context of the Observers walking the history,
+     * distinct from the one of the Command Observers
+     * @type {object} */
+    private readonly historyContext: object = {};
 
     /**
      * Constructor.
      *
-     * This `Controller` implementation is a Singleton,
+     * This `Controller` implementation is a Multiton,
      * so you should not call the constructor
-     * directly, but instead call the static Singleton Factory method,
-     * `Controller.getInstance()`
+     * directly, but instead call the static Factory method,
+     * passing the unique key for this instance
+     * `Controller.getInstance(multitonKey)`
      *
-     * @throws {Error} Error if instance for this Singleton has already been constructed
+     * @param {string} [key] - The multiton key of the Core. Defaults to `Controller.DEFAULT_KEY`.
+     * @throws {Error} Error if instance for this Multiton key has already been constructed
      */
-    public constructor() {
-        if (Controller.instance != null) {throw Error(Controller.SINGLETON_MSG);}
-        Controller.instance = this;
+    public constructor(key: string = Controller.DEFAULT_KEY) {
+        if (Controller.instanceMap[key] != null) {throw Error(Controller.MULTITON_MSG);}
+        this.multitonKey = key;
+        Controller.instanceMap[key] = this;
         this.commandMap = {};
+        this._commandHistory = new CommandHistory();
         this.initializeController();
+        this.view?.registerObserver(Controller.UNDO, new Observer(() => { this.commandHistory.undo(); }, this.historyContext));
+        this.view?.registerObserver(Controller.REDO, new Observer(() => { this.commandHistory.redo(); }, this.historyContext));
     }
 
     /**
-     * Initialize the Singleton `Controller` instance.
+     * Initialize the Multiton `Controller` instance.
      *
      * Called automatically by the constructor.
      *
@@ -99,34 +153,65 @@ export class Controller implements IController {
      * ```ts
      * // ensure that the Controller is talking to my View implementation
      * initializeController() {
-     *   this.view = MyView.getInstance(() => new View());
+     *   this.view = MyView.getInstance(this.multitonKey, (key: string) => new MyView(key));
      * }
      * ```
      * @returns {void}
      */
     protected initializeController(): void {
-        this.view = View.getInstance(() => new View());
+        this.view = View.getInstance(this.multitonKey, (key: string) => new View(key));
     }
 
     /**
-     * `Controller` Singleton Factory method.
+     * `Controller` Multiton Factory method.
      *
-     * @param {() => IController} factory - A factory function that creates a new instance of the controller if one does not already exist.
-     * @returns {IController} the Singleton instance of `Controller`.
+     * Called with a factory only, returns the `Controller`
+     * of the Core with the key `Controller.DEFAULT_KEY`.
+     *
+     * @param {string} key - The multiton key of the Core.
+     * @param {(key: string) => IController} factory - A factory function that creates a new instance of the controller if one does not already exist for the key.
+     * @returns {IController} The Multiton instance of `Controller` for the key.
+     */
+    public static getInstance(factory: (key: string) => IController): IController;
+    public static getInstance(key: string, factory: (key: string) => IController): IController;
+    public static getInstance(key: string | ((key: string) => IController), factory?: (key: string) => IController): IController {
+        if (typeof key != "string") [key, factory] = [Controller.DEFAULT_KEY, key];
+        if (Controller.instanceMap[key] == null)
+            Controller.instanceMap[key] = (factory as (key: string) => IController)(key);
+        return Controller.instanceMap[key];
+    }
+
+    /**
+     * Remove a `Controller` instance
+     *
+     * @param {string} key - The multiton key of the Core whose `Controller` should be removed.
+     * @returns {void}
      */
-    public static getInstance(factory: () => IController): IController {
-        if (Controller.instance == null)
-            Controller.instance = factory();
-        return Controller.instance;
+    public static removeController(key: string): void {
+        delete Controller.instanceMap[key];
+    }
+
+    /**
+     * Dispose every `Controller` instance, and remove them all,
+     * including those not created by a `Facade`.
+     *
+     * @returns {void}
+     */
+    public static disposeAll(): void {
+        for (const key in Controller.instanceMap) {
+            Controller.instanceMap[key].dispose();
+        }
+        Controller.instanceMap = {};
     }
 
     /**
      * Register a particular `Command` class as the handler
      * for a particular `Notification`.
      *
-     * If an `Command` has already been registered to
-     * handle `Notification`s with this name, it is no longer
-     * used, the new `Command` is used instead.
+     * If `Command`s have already been registered to
+     * handle `Notification`s with this name, the new `Command`
+     * is executed after them. In `strict` mode, the
+     * `duplicatePolicy` is applied instead.
      *
      * The Observer for the new Command is only created if this the
      * first time a Command has been registered for this Notification name.
@@ -136,25 +221,190 @@ export class Controller implements IController {
      * @returns {void}
      */
     public registerCommand(notificationName: string, factory: () => ICommand): void {
+        if (this.commandMap[notificationName] != null && this.strict && !this.resolveDuplicate(notificationName)) return;
+
         if (this.commandMap[notificationName] == null) {
             this.view?.registerObserver(notificationName, new Observer(this.executeCommand, this));
+            this.commandMap[notificationName] = [];
         }
-        this.commandMap[notificationName] = factory;
+        this.commandMap[notificationName].push(factory);
     }
 
     /**
-     * If a `Command` has previously been registered
-     * to handle the given `Notification`, then it is executed.
+     * Apply the `duplicatePolicy` to a `Notification` already mapped in `strict` mode.
+     *
+     * @param {string} notificationName - The name of the notification mapped again.
+     * @returns {boolean} `true` if the new registration proceeds; otherwise, `false`.
+     * @throws {Error} Error under the `"throw"` policy.
+     */
+    protected resolveDuplicate(notificationName: string): boolean {
+        switch (this.duplicatePolicy) {
+        case "throw":
+            throw Error(`Command already registered for ${notificationName}`);
+        case "ignore":
+            return false;
+        case "warn":
+            console.warn(`Command already registered for ${notificationName}, replacing it`);
+            break;
+        }
+        this.removeCommand(notificationName);
+        return true;
+    }
+
+    /**
+     * If `Command`s have previously been registered
+     * to handle the given `Notification`, then they are executed
+     * in the order of their registration, until the `Notification`
+     * has been canceled.
+     *
+     * If a `Command` is asynchronous, the Promise returned
+     * by its `execute` method is included in the Promise returned,
+     * so that callers such as `View.notifyObserversAsync` can wait
+     * for it to settle.
+     *
+     * Each `Command` is executed through the middleware added,
+     * which may transform the `Notification` or skip the `Command`.
+     *
+     * A `Command` is skipped if one of its `guards` rejects
+     * the `Notification`, and its `guardRejectedNotification`
+     * is sent instead, with a `GuardRejection` as its body.
+     *
+     * An undoable `Command` is recorded in the `commandHistory`
+     * once complete. Sending `Controller.UNDO` or `Controller.REDO`
+     * undoes or redoes the `Command`s recorded.
      *
      * @param {INotification} notification - The notification containing the data or command details needed for execution.
-     * @returns {void}
+     * @returns {void | Promise<void>} A Promise settling with the asynchronous commands, if any.
      */
-    public executeCommand(notification: INotification): void {
-        const factory: () => ICommand = this.commandMap[notification.name];
-        if (factory == null) return;
+    public executeCommand(notification: INotification): void | Promise<void> {
+        // copy the factories, in case a Command registers or removes others
+        const factories: (() => ICommand)[] = (this.commandMap[notification.name] ?? []).slice();
+        const middleware: CommandMiddleware[] = this.middleware.slice();
+        const promises: Promise<void>[] = [];
+
+        for (let i: number = 0; i < factories.length && !notification.isCanceled; i++) {
+            const result: void | Promise<void> = this.runMiddleware(middleware, 0, factories[i], notification);
+            if (result instanceof Promise) promises.push(result);
+        }
+
+        if (promises.length > 0) return Promise.all(promises).then(() => undefined);
+    }
 
+    /**
+     * Call a middleware, whose `next` calls the following one,
+     * the last one calling `runCommand`.
+     *
+     * @param {CommandMiddleware[]} middleware - The middleware to call.
+     * @param {number} index - The index of the middleware to call.
+     * @param {() => ICommand} factory - The factory of the command.
+     * @param {INotification} notification - The notification to execute.
+     * @returns {void | Promise<void>} The result of the middleware, or of the command.
+     */
+    protected runMiddleware(middleware: CommandMiddleware[], index: number, factory: () => ICommand, notification: INotification): void | Promise<void> {
+        if (index >= middleware.length) return this.runCommand(factory, notification);
+
+        return middleware[index](notification, factory, (next?: INotification) =>
+            this.runMiddleware(middleware, index + 1, factory, next ?? notification));
+    }
+
+    /**
+     * Create a `Command`, check its guards, inject
+     * the dependencies of its `inject` map and execute it.
+     *
+     * @param {() => ICommand} factory - The factory of the command.
+     * @param {INotification} notification - The notification to execute.
+     * @returns {void | Promise<void>} The Promise returned by an asynchronous command, if any.
+     */
+    protected runCommand(factory: () => ICommand, notification: INotification): void | Promise<void> {
         const command: ICommand = factory();
-        command.execute(notification);
+        command.initializeNotifier(this.multitonKey);
+        if (!this.approve(command, notification)) return;
+        new Injector(this.multitonKey).inject(command);
+
+        const result: void | Promise<void> = command.execute(notification);
+        if (!CommandHistory.isUndoable(command)) return result;
+
+        // record undoable commands once they are complete
+        if (result instanceof Promise) return result.then(() => this.commandHistory.record(command));
+        this.commandHistory.record(command);
+    }
+
+    /**
+     * Check the guards of a `Command`, in order, and send
+     * the rejected notification at the first one rejecting.
+     *
+     * @param {ICommand} command - The command about to be executed.
+     * @param {INotification} notification - The notification about to be executed.
+     * @returns {boolean} `true` if every guard approves; otherwise, `false`.
+     */
+    protected approve(command: ICommand, notification: INotification): boolean {
+        const guards = command.guards ?? [];
+        for (let i: number = 0; i < guards.length; i++) {
+            const guard: IGuard = Guard.create(guards[i]);
+            guard.initializeNotifier(this.multitonKey);
+            if (guard.approve(notification)) continue;
+
+            const rejection: GuardRejection = {notification, command, guard: guards[i]};
+            this.view?.notifyObservers(new Notification(command.guardRejectedNotification ?? Controller.GUARD_REJECTED, rejection));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the history of the undoable `Command`s executed
+     *
+     * @returns {ICommandHistory} The command history.
+     */
+    public get commandHistory(): ICommandHistory {
+        return this._commandHistory;
+    }
+
+    /**
+     * Set the history of the undoable `Command`s executed
+     *
+     * @param {ICommandHistory} value - The command history, for instance a `CommandHistory` with a different limit.
+     */
+    public set commandHistory(value: ICommandHistory) {
+        this._commandHistory = value;
+    }
+
+    /**
+     * Get whether a single `Command` may be registered for a `Notification`
+     *
+     * @returns {boolean} `true` in strict mode; otherwise, `false`.
+     */
+    public get strict(): boolean {
+        return this._strict;
+    }
+
+    /**
+     * Set whether a single `Command` may be registered for a `Notification`
+     *
+     * @param {boolean} value - `true` to apply the `duplicatePolicy` to a second `Command`.
+     */
+    public set strict(value: boolean) {
+        this._strict = value;
+    }
+
+    /**
+     * Get the policy applied in strict mode when a `Command` is registered for a `Notification` already mapped
+     *
+     * @returns {DuplicatePolicy} The current policy.
+     */
+    public get duplicatePolicy(): DuplicatePolicy {
+        return this._duplicatePolicy;
+    }
+
+    /**
+     * Set the policy applied in strict mode when a `Command` is registered for a `Notification` already mapped
+     *
+     * Under `"replace"` and `"warn"`, the `Command` mapped is removed before the new one is registered.
+     *
+     * @param {DuplicatePolicy} value - The policy.
+     */
+    public set duplicatePolicy(value: DuplicatePolicy) {
+        this._duplicatePolicy = value;
     }
 
     /**
@@ -170,18 +420,77 @@ export class Controller implements IController {
     /**
      * Remove a previously registered `Command` to `Notification` mapping.
      *
+     * Given a factory, only the `Command` registered with this
+     * factory is removed, the others are still executed.
+     *
      * @param {string} notificationName - The name of the notification for which the associated command should be removed.
+     * @param {() => ICommand} [factory] - Optional factory of the single command to remove.
      * @returns {void}
      */
-    public removeCommand(notificationName: string): void {
+    public removeCommand(notificationName: string, factory?: () => ICommand): void {
         // if the Command is registered...
         if (this.hasCommand(notificationName)) {
+            // remove the single command, keeping the others
+            if (factory != null) {
+                const factories: (() => ICommand)[] = this.commandMap[notificationName];
+                const index: number = factories.indexOf(factory);
+                if (index >= 0) factories.splice(index, 1);
+                if (factories.length > 0) return;
+            }
+
             // remove the observer
             this.view?.removeObserver(notificationName, this);
 
-            // remove the command
+            // remove the commands
             delete this.commandMap[notificationName];
         }
     }
 
+    /**
+     * Add a `CommandMiddleware`, wrapping the execution of
+     * each `Command` inside the middleware added before.
+     *
+     * ```ts
+     * controller.addMiddleware((notification, commandFactory, next) => {
+     *   const start = performance.now();
+     *   next();
+     *   console.log(notification.name, performance.now() - start);
+     * });
+     * ```
+     *
+     * @param {CommandMiddleware} middleware - The middleware to add.
+     * @returns {void}
+     */
+    public addMiddleware(middleware: CommandMiddleware): void {
+        if (this.middleware.indexOf(middleware) < 0) this.middleware.push(middleware);
+    }
+
+    /**
+     * Remove a previously added `CommandMiddleware`.
+     *
+     * @param {CommandMiddleware} middleware - The middleware to remove.
+     * @returns {void}
+     */
+    public removeMiddleware(middleware: CommandMiddleware): void {
+        const index: number = this.middleware.indexOf(middleware);
+        if (index >= 0) this.middleware.splice(index, 1);
+    }
+
+    /**
+     * Remove every `Command` mapping from the `Controller`,
+     * and remove the `Controller` from its Core.
+     *
+     * @returns {void}
+     */
+    public dispose(): void {
+        for (const notificationName in this.commandMap) {
+            this.removeCommand(notificationName);
+        }
+        this.view?.removeObserver(Controller.UNDO, this.historyContext);
+        this.view?.removeObserver(Controller.REDO, this.historyContext);
+        this.commandHistory.clear();
+        this.middleware = [];
+        if (Controller.instanceMap[this.multitonKey] == this) Controller.removeController(this.multitonKey);
+    }
+
 }
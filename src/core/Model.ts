@@ -7,10 +7,11 @@
 //
 
 import {IModel} from "../interfaces/IModel";
-import {IProxy} from "../interfaces/IProxy";
+import {IProxy, ProxyReadyState} from "../interfaces/IProxy";
+import {DuplicatePolicy} from "../interfaces/IFacade";
 
 /**
- * A Singleton `Model` implementation.
+ * A Multiton `Model` implementation.
  *
  * In PureMVC, the `Model` class provides
  * access to model objects (Proxies) by named lookup.
@@ -35,34 +36,61 @@ export class Model implements IModel {
 
     /** Message Constants
      * @type {string} */
-    protected static SINGLETON_MSG: string = "Model Singleton already constructed!";
+    protected static MULTITON_MSG: string = "Model instance for this Multiton key already constructed!";
+
+    /** The key of the Core used when none is given
+     * @type {string} */
+    public static DEFAULT_KEY: string = "PureMVC";
+
+    /** Notification name sent when a Proxy is ready or failed, if `notifyProxyReady`
+     * @type {string} */
+    public static PROXY_READY: string = "Model/proxyReady";
 
     /**
-     * Singleton instance
+     * Multiton instances
      *
-     * @type {IModel}
+     * @type {{ [key: string]: IModel }}
      * @protected
      */
-    protected static instance: IModel;
+    protected static instanceMap: { [key: string]: IModel } = {};
+
+    /** The Multiton Key for this Core
+     * @type {string} */
+    protected multitonKey: string;
 
     /** Mapping of proxyNames to IProxy instances
      * @type {{ [key: string]: IProxy }} */
     protected proxyMap: { [key: string]: IProxy };
 
+    /** Mapping of proxyNames to factories of IProxy instances not yet created
+     * @type {{ [key: string]: () => IProxy }} */
+    protected proxyFactoryMap: { [key: string]: () => IProxy };
+
+    /** Whether Model.PROXY_READY is sent when a Proxy is ready or failed
+     * @type {boolean} */
+    private _notifyProxyReady: boolean = false;
+
+    /** How a Proxy registered under a name already registered is handled
+     * @type {DuplicatePolicy} */
+    private _duplicatePolicy: DuplicatePolicy = "replace";
+
     /**
      * Constructor.
      *
-     * This `Model` implementation is a Singleton,
+     * This `Model` implementation is a Multiton,
      * so you should not call the constructor
-     * directly, but instead call the static Singleton
-     * Factory method `Model.getInstance()`
+     * directly, but instead call the static Multiton
+     * Factory method `Model.getInstance(multitonKey)`
      *
-     * @throws {Error} Error if instance for this Singleton instance has already been constructed
+     * @param {string} [key] - The multiton key of the Core. Defaults to `Model.DEFAULT_KEY`.
+     * @throws {Error} Error if instance for this Multiton key instance has already been constructed
      */
-    public constructor() {
-        if (Model.instance != null) throw Error(Model.SINGLETON_MSG);
-        Model.instance = this;
+    public constructor(key: string = Model.DEFAULT_KEY) {
+        if (Model.instanceMap[key] != null) throw Error(Model.MULTITON_MSG);
+        this.multitonKey = key;
+        Model.instanceMap[key] = this;
         this.proxyMap = {};
+        this.proxyFactoryMap = {};
         this.initializeModel();
     }
 
@@ -70,7 +98,7 @@ export class Model implements IModel {
      * Initialize the `Model` instance.
      *
      * Called automatically by the constructor, this
-     * is your opportunity to initialize the Singleton
+     * is your opportunity to initialize the Multiton
      * instance in your subclass without overriding the
      * constructor.
      *
@@ -80,61 +108,346 @@ export class Model implements IModel {
     }
 
     /**
-     * `Model` Singleton Factory method.
+     * `Model` Multiton Factory method.
+     *
+     * Called with a factory only, returns the `Model`
+     * of the Core with the key `Model.DEFAULT_KEY`.
+     *
+     * @param {string} key - The multiton key of the Core.
+     * @param {(key: string) => IModel} factory - A factory function that creates a new instance of the model if one does not already exist for the key.
+     * @returns {IModel} The Multiton instance of `Model` for the key.
+     */
+    public static getInstance(factory: (key: string) => IModel): IModel;
+    public static getInstance(key: string, factory: (key: string) => IModel): IModel;
+    public static getInstance(key: string | ((key: string) => IModel), factory?: (key: string) => IModel): IModel {
+        if (typeof key != "string") [key, factory] = [Model.DEFAULT_KEY, key];
+        if (Model.instanceMap[key] == null)
+            Model.instanceMap[key] = (factory as (key: string) => IModel)(key);
+        return Model.instanceMap[key];
+    }
+
+    /**
+     * Remove a `Model` instance
+     *
+     * @param {string} key - The multiton key of the Core whose `Model` should be removed.
+     * @returns {void}
+     */
+    public static removeModel(key: string): void {
+        delete Model.instanceMap[key];
+    }
+
+    /**
+     * Dispose every `Model` instance, and remove them all,
+     * including those not created by a `Facade`.
+     *
+     * @returns {void}
+     */
+    public static disposeAll(): void {
+        for (const key in Model.instanceMap) {
+            Model.instanceMap[key].dispose();
+        }
+        Model.instanceMap = {};
+    }
+
+    /**
+     * Get whether `Model.PROXY_READY` is sent when a `Proxy` is ready or failed
+     *
+     * @returns {boolean} `true` if the notification is sent; otherwise, `false`.
+     */
+    public get notifyProxyReady(): boolean {
+        return this._notifyProxyReady;
+    }
+
+    /**
+     * Set whether `Model.PROXY_READY` is sent when a `Proxy` is ready or failed
      *
-     * @param {() => IModel} factory - A factory function that creates a new instance of the model if one does not already exist.
-     * @returns {IModel} The Singleton instance.
+     * @param {boolean} value - `true` to send the notification, with the proxy as its body and its `readyState` as its type.
      */
-    public static getInstance(factory: () => IModel): IModel {
-        if (Model.instance == null)
-            Model.instance = factory();
-        return Model.instance;
+    public set notifyProxyReady(value: boolean) {
+        this._notifyProxyReady = value;
+    }
+
+    /**
+     * Get the policy applied when a `Proxy` is registered under a name already registered
+     *
+     * @returns {DuplicatePolicy} The current policy.
+     */
+    public get duplicatePolicy(): DuplicatePolicy {
+        return this._duplicatePolicy;
+    }
+
+    /**
+     * Set the policy applied when a `Proxy` is registered under a name already registered
+     *
+     * Under `"replace"` and `"warn"`, the `Proxy` registered is removed,
+     * and its `onRemove` method called, before the new one is registered.
+     *
+     * @param {DuplicatePolicy} value - The policy.
+     */
+    public set duplicatePolicy(value: DuplicatePolicy) {
+        this._duplicatePolicy = value;
     }
 
     /**
      * Register a `Proxy` with the `Model`.
      *
+     * If a `Proxy`, or a factory, is already registered with
+     * the same name, the `duplicatePolicy` is applied.
+     *
+     * If its `onRegister` method returns a Promise, the `Proxy`
+     * is registered at once, but its `readyState` stays `"pending"`
+     * until the Promise settles.
+     *
      * @param {IProxy} proxy - The proxy instance to be registered.
      * @returns {void}
      */
     public registerProxy(proxy: IProxy): void {
+        const result: void | Promise<void> = this.initializeProxy(proxy);
+
+        // the failure is reported by the readyState of the proxy
+        if (result instanceof Promise) result.catch(() => undefined);
+    }
+
+    /**
+     * Register a `Proxy` with the `Model`, waiting
+     * for its `onRegister` method to complete.
+     *
+     * ```ts
+     * await model.registerProxyAsync(new DatabaseProxy());
+     * ```
+     *
+     * @param {IProxy} proxy - The proxy instance to be registered.
+     * @returns {Promise<void>} A Promise settling when the proxy is ready, or rejecting if it failed.
+     */
+    public async registerProxyAsync(proxy: IProxy): Promise<void> {
+        await this.initializeProxy(proxy);
+    }
+
+    /**
+     * Register a `Proxy`, call its `onRegister` method,
+     * and update its `readyState` once complete.
+     *
+     * @param {IProxy} proxy - The proxy instance to be registered.
+     * @returns {void | Promise<void>} The Promise returned by `onRegister`, if any.
+     */
+    protected initializeProxy(proxy: IProxy): void | Promise<void> {
+        if (this.isRegistered(proxy.name) && !this.resolveDuplicate(proxy.name)) return;
+
+        proxy.initializeNotifier(this.multitonKey);
         this.proxyMap[proxy.name] = proxy;
-        proxy.onRegister();
+        proxy.readyState = "pending";
+
+        let result: void | Promise<void>;
+        try {
+            result = proxy.onRegister();
+        } catch (error) {
+            this.proxyReady(proxy, "failed");
+            throw error;
+        }
+
+        if (!(result instanceof Promise)) {
+            this.proxyReady(proxy, "ready");
+            return;
+        }
+        return result.then(() => this.proxyReady(proxy, "ready"), (error: unknown) => {
+            this.proxyReady(proxy, "failed");
+            throw error;
+        });
+    }
+
+    /**
+     * Set the `readyState` of a `Proxy`, and send
+     * `Model.PROXY_READY` if `notifyProxyReady`.
+     *
+     * @param {IProxy} proxy - The proxy whose `onRegister` method is complete.
+     * @param {ProxyReadyState} state - `"ready"` or `"failed"`.
+     * @returns {void}
+     */
+    protected proxyReady(proxy: IProxy, state: ProxyReadyState): void {
+        proxy.readyState = state;
+        if (this.notifyProxyReady) proxy.sendNotification(Model.PROXY_READY, proxy, state);
+    }
+
+    /**
+     * Register a factory creating a `Proxy` with the `Model`.
+     *
+     * The `Proxy` is not created until it is first retrieved
+     * or checked for with `retrieveProxy` or `hasProxy`. It is
+     * then registered, and its `onRegister` method called, as if
+     * it had been registered with `registerProxy`:
+     *
+     * ```ts
+     * model.registerProxyFactory(ReportProxy.NAME, () => new ReportProxy());
+     * ```
+     *
+     * @param {string} proxyName - The name of the proxy created.
+     * @param {() => IProxy} factory - A factory creating the proxy.
+     * @returns {void}
+     */
+    public registerProxyFactory(proxyName: string, factory: () => IProxy): void {
+        if (this.isRegistered(proxyName) && !this.resolveDuplicate(proxyName)) return;
+        this.proxyFactoryMap[proxyName] = factory;
+    }
+
+    /**
+     * Check if a `Proxy`, or a factory, is registered, without creating it.
+     *
+     * @param {string} proxyName - The name of the proxy to check.
+     * @returns {boolean} `true` if a proxy or a factory is registered with the name; otherwise, `false`.
+     */
+    protected isRegistered(proxyName: string): boolean {
+        return this.proxyMap[proxyName] != null || this.proxyFactoryMap[proxyName] != null;
+    }
+
+    /**
+     * Apply the `duplicatePolicy` to a name already registered.
+     *
+     * @param {string} proxyName - The name registered again.
+     * @returns {boolean} `true` if the new registration proceeds; otherwise, `false`.
+     * @throws {Error} Error under the `"throw"` policy.
+     */
+    protected resolveDuplicate(proxyName: string): boolean {
+        switch (this.duplicatePolicy) {
+        case "throw":
+            throw Error(`Proxy ${proxyName} is already registered`);
+        case "ignore":
+            return false;
+        case "warn":
+            console.warn(`Proxy ${proxyName} is already registered, replacing it`);
+            break;
+        }
+        this.removeProxy(proxyName);
+        return true;
     }
 
     /**
      * Retrieve a `Proxy` from the `Model`.
      *
+     * A `Proxy` registered with a factory is created
+     * and registered on its first retrieval.
+     *
      * @param {string} proxyName - The name of the proxy to retrieve.
      * @returns {IProxy | null} The proxy instance associated with the given name, or `null` if no such proxy exists.
      */
     public retrieveProxy(proxyName: string): IProxy | null {
-        return this.proxyMap[proxyName] || null;
+        return this.proxyMap[proxyName] ?? this.instantiateProxy(proxyName);
     }
 
     /**
      * Check if a Proxy is registered
      *
+     * A `Proxy` registered with a factory is created
+     * and registered on its first check.
+     *
      * @param {string} proxyName - The name of the proxy to check.
      * @returns {boolean} `true` if a proxy with the specified name is registered; otherwise, `false`.
      */
     public hasProxy(proxyName: string): boolean {
-        return this.proxyMap[proxyName] != null;
+        return this.retrieveProxy(proxyName) != null;
+    }
+
+    /**
+     * Create and register the `Proxy` of a factory.
+     *
+     * @param {string} proxyName - The name of the proxy to create.
+     * @returns {IProxy | null} The proxy created, or `null` if no factory is registered with the given name.
+     * @throws {Error} Error if the proxy created does not have the given name.
+     */
+    protected instantiateProxy(proxyName: string): IProxy | null {
+        const factory: () => IProxy = this.proxyFactoryMap[proxyName];
+        if (factory == null) return null;
+
+        // the factory stays registered until it has created a valid proxy
+        const proxy: IProxy = factory();
+        if (proxy.name != proxyName) throw Error(`Proxy factory for ${proxyName} created Proxy ${proxy.name}`);
+
+        delete this.proxyFactoryMap[proxyName];
+        this.registerProxy(proxy);
+        return proxy;
     }
 
     /**
      * Remove a `Proxy` from the `Model`.
      *
+     * The factory of a `Proxy` not yet created is removed
+     * without creating it.
+     *
+     * If its `onRemove` method returns a Promise, the `Proxy`
+     * is removed at once. Should the Promise reject, the
+     * `readyState` of the `Proxy` becomes `"failed"`.
+     *
      * @param {string} proxyName - The name of the proxy to be removed.
      * @returns {IProxy | null} The removed proxy instance, or `null` if no proxy with the given name was found.
      */
     public removeProxy(proxyName: string): IProxy | null {
+        delete this.proxyFactoryMap[proxyName];
+
         const proxy: IProxy = this.proxyMap[proxyName];
         if (!proxy) return null;
 
         delete this.proxyMap[proxyName];
-        proxy.onRemove();
+        const result: void | Promise<void> = this.releaseProxy(proxy);
+
+        // the failure is reported by the readyState of the proxy
+        if (result instanceof Promise) result.catch(() => undefined);
         return proxy;
     }
 
+    /**
+     * Remove a `Proxy` from the `Model`, waiting
+     * for its `onRemove` method to complete.
+     *
+     * @param {string} proxyName - The name of the proxy to be removed.
+     * @returns {Promise<IProxy | null>} The removed proxy instance, or `null` if no proxy with the given name was found.
+     */
+    public async removeProxyAsync(proxyName: string): Promise<IProxy | null> {
+        delete this.proxyFactoryMap[proxyName];
+
+        const proxy: IProxy = this.proxyMap[proxyName];
+        if (!proxy) return null;
+
+        delete this.proxyMap[proxyName];
+        await this.releaseProxy(proxy);
+        return proxy;
+    }
+
+    /**
+     * Call the `onRemove` method of a removed `Proxy`,
+     * setting its `readyState` to `"failed"` if it fails.
+     *
+     * @param {IProxy} proxy - The proxy removed.
+     * @returns {void | Promise<void>} The Promise returned by `onRemove`, if any.
+     */
+    protected releaseProxy(proxy: IProxy): void | Promise<void> {
+        let result: void | Promise<void>;
+        try {
+            result = proxy.onRemove();
+        } catch (error) {
+            proxy.readyState = "failed";
+            throw error;
+        }
+
+        if (!(result instanceof Promise)) return;
+        return result.catch((error: unknown) => {
+            proxy.readyState = "failed";
+            throw error;
+        });
+    }
+
+    /**
+     * Remove every `Proxy` from the `Model`, calling
+     * their `onRemove` methods, forget the factories of
+     * the `Proxy`s not yet created, and remove the `Model`
+     * from its Core.
+     *
+     * @returns {void}
+     */
+    public dispose(): void {
+        for (const proxyName in this.proxyMap) {
+            this.removeProxy(proxyName);
+        }
+        this.proxyFactoryMap = {};
+        if (Model.instanceMap[this.multitonKey] == this) Model.removeModel(this.multitonKey);
+    }
+
 }
@@ -6,14 +6,16 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {IView} from "../interfaces/IView";
+import {IView, ObserverErrorHandler, ObserverErrorPolicy} from "../interfaces/IView";
 import {IMediator} from "../interfaces/IMediator";
 import {IObserver} from "../interfaces/IObserver";
 import {Observer} from "../patterns/observer/Observer";
 import {INotification} from "../interfaces/INotification";
+import {DuplicatePolicy} from "../interfaces/IFacade";
+import {Injector} from "../patterns/facade/Injector";
 
 /**
- * A Singleton `View` implementation.
+ * A Multiton `View` implementation.
  *
  * In PureMVC, the `View` class assumes these responsibilities:
  *
@@ -35,47 +37,99 @@ export class View implements IView {
 
     /** Message Constants
      * @type {string} */
-    protected static SINGLETON_MSG: string = "View Singleton already constructed!";
+    protected static MULTITON_MSG: string = "View instance for this Multiton key already constructed!";
+
+    /** The key of the Core used when none is given
+     * @type {string} */
+    public static DEFAULT_KEY: string = "PureMVC";
 
     /**
-     * Singleton instance
+     * Multiton instances
      *
-     * @type {IView}
+     * @type {{ [key: string]: IView }}
      * @protected
      */
-    protected static instance: IView;
+    protected static instanceMap: { [key: string]: IView } = {};
+
+    /** The Multiton Key for this Core
+     * @type {string} */
+    protected multitonKey: string;
 
     /** Mapping of Mediator names to Mediator instances
      * @type {{ [key: string]: IMediator }} */
     protected mediatorMap: { [key: string]: IMediator };
 
+    /** Mapping of Mediator names to the Observers notifying them
+     * @type {{ [key: string]: IObserver }} */
+    protected mediatorObserverMap: { [key: string]: IObserver };
+
+    /** Mapping of Mediator names to the Notification interests they are registered for
+     * @type {{ [key: string]: string[] }} */
+    protected interestMap: { [key: string]: string[] };
+
     /** Mapping of Notification names to Observer lists
      * @type {{ [key: string]: IObserver[] }} */
     protected observerMap: { [key: string]: IObserver[] };
 
+    /** Mapping of Notification name patterns to Observer lists
+     * @type {{ [key: string]: IObserver[] }} */
+    protected patternMap: { [key: string]: IObserver[] };
+
+    /** Mapping of Notification name patterns to the regular expressions matching them
+     * @type {{ [key: string]: RegExp }} */
+    private patternRegExpMap: { [key: string]: RegExp };
+
+    /** Mapping of Observers limited by time to live to the timers removing them
+     * @type {Map<IObserver, ReturnType<typeof setTimeout>>} */
+    private expiryTimerMap: Map<IObserver, ReturnType<typeof setTimeout>>;
+
+    /** Mapping of the Observers wrapping limited Observers to the Observers they wrap
+     * @type {Map<IObserver, IObserver>} */
+    private limitedObserverMap: Map<IObserver, IObserver>;
+
+    /** How failures of notified Observers are handled
+     * @type {ObserverErrorPolicy} */
+    private _errorPolicy: ObserverErrorPolicy = "rethrow";
+
+    /** Hook receiving each failure of a notified Observer
+     * @type {ObserverErrorHandler | null} */
+    private _errorHandler: ObserverErrorHandler | null = null;
+
+    /** How a Mediator registered under a name already registered is handled
+     * @type {DuplicatePolicy} */
+    private _duplicatePolicy: DuplicatePolicy = "ignore";
+
     /**
      * Constructor.
      *
-     * This `View` implementation is a Singleton,
+     * This `View` implementation is a Multiton,
      * so you should not call the constructor
-     * directly, but instead call the static Singleton
-     * Factory method `View.getInstance()`
+     * directly, but instead call the static Multiton
+     * Factory method `View.getInstance(multitonKey)`
      *
-     * @throws {Error} Error if instance for this Singleton has already been constructed
+     * @param {string} [key] - The multiton key of the Core. Defaults to `View.DEFAULT_KEY`.
+     * @throws {Error} Error if instance for this Multiton key has already been constructed
      */
-    constructor() {
-        if (View.instance != null) throw Error(View.SINGLETON_MSG);
-        View.instance = this;
+    constructor(key: string = View.DEFAULT_KEY) {
+        if (View.instanceMap[key] != null) throw Error(View.MULTITON_MSG);
+        this.multitonKey = key;
+        View.instanceMap[key] = this;
         this.mediatorMap = {};
+        this.mediatorObserverMap = {};
+        this.interestMap = {};
         this.observerMap = {};
+        this.patternMap = {};
+        this.patternRegExpMap = {};
+        this.expiryTimerMap = new Map();
+        this.limitedObserverMap = new Map();
         this.initializeView();
     }
 
     /**
-     * Initialize the Singleton View instance.
+     * Initialize the Multiton View instance.
      *
      * Called automatically by the constructor, this
-     * is your opportunity to initialize the Singleton
+     * is your opportunity to initialize the Multiton
      * instance in your subclass without overriding the
      * constructor.
      *
@@ -86,31 +140,81 @@ export class View implements IView {
     }
 
     /**
-     * View Singleton factory method.
+     * `View` Multiton Factory method.
+     *
+     * Called with a factory only, returns the `View`
+     * of the Core with the key `View.DEFAULT_KEY`.
+     *
+     * @param {string} key - The multiton key of the Core.
+     * @param {(key: string) => IView} factory - A factory function that creates a new instance of the view if one does not already exist for the key.
+     * @returns {IView} The Multiton instance of `View` for the key.
+     */
+    public static getInstance(factory: (key: string) => IView): IView;
+    public static getInstance(key: string, factory: (key: string) => IView): IView;
+    public static getInstance(key: string | ((key: string) => IView), factory?: (key: string) => IView): IView {
+        if (typeof key != "string") [key, factory] = [View.DEFAULT_KEY, key];
+        if (View.instanceMap[key] == null)
+            View.instanceMap[key] = (factory as (key: string) => IView)(key);
+        return View.instanceMap[key];
+    }
+
+    /**
+     * Remove a `View` instance
      *
-     * @param {() => IView} factory - A factory function that creates a new instance of the view if one does not already exist.
-     * @returns {IView} The view instance.
+     * @param {string} key - The multiton key of the Core whose `View` should be removed.
+     * @returns {void}
      */
-    public static getInstance(factory: () => IView): IView {
-        if (View.instance == null)
-            View.instance = factory();
-        return View.instance;
+    public static removeView(key: string): void {
+        delete View.instanceMap[key];
+    }
+
+    /**
+     * Dispose every `View` instance, and remove them all,
+     * including those not created by a `Facade`.
+     *
+     * @returns {void}
+     */
+    public static disposeAll(): void {
+        for (const key in View.instanceMap) {
+            View.instanceMap[key].dispose();
+        }
+        View.instanceMap = {};
     }
 
     /**
      * Register an `Observer` to be notified
      * of `Notifications` with a given name.
      *
-     * @param {string} notificationName - The name of the notification to which the observer should be registered.
+     * The `Observer` is placed in the list according to its `priority`,
+     * after any `Observers` of the same or higher priority, so `Observers`
+     * of equal priority keep the order in which they were registered.
+     *
+     * The name may be a pattern containing `*` wildcards, each matching
+     * any sequence of characters, including `/`. For instance, `user/*`
+     * matches both `user/logout` and `user/login/success`.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to which the observer should be registered.
      * @param {IObserver} observer - The observer instance to be registered.
      * @returns {void}
      */
     public registerObserver(notificationName: string, observer: IObserver): void {
-        if (this.observerMap[notificationName] != null) {
-            this.observerMap[notificationName].push(observer);
-        } else {
-            this.observerMap[notificationName] = [observer];
+        const map: { [key: string]: IObserver[] } = this.isPattern(notificationName) ? this.patternMap : this.observerMap;
+        const observers: IObserver[] | undefined = map[notificationName];
+        if (observers == null) {
+            map[notificationName] = [observer];
+            if (map == this.patternMap) {
+                this.patternRegExpMap[notificationName] = this.createPatternRegExp(notificationName);
+            }
+            return;
+        }
+
+        // find the first observer with a lower priority, and insert before it
+        const priority: number = observer.priority ?? 0;
+        let index: number = observers.length;
+        while (index > 0 && (observers[index - 1].priority ?? 0) < priority) {
+            index--;
         }
+        observers.splice(index, 0, observer);
     }
 
     /**
@@ -118,42 +222,333 @@ export class View implements IView {
      *
      * All previously attached `Observers` for this `Notification`'s
      * list are notified and are passed a reference to the `Notification` in
-     * the order in which they were registered.
+     * order of priority, then in the order in which they were registered.
+     *
+     * If an `Observer` calls the `Notification`'s `stopPropagation` method,
+     * the remaining `Observers` are not notified.
+     *
+     * If an `Observer` throws, the error is passed to the `errorHandler`,
+     * then handled according to the `errorPolicy`. Nobody waits for
+     * asynchronous `Observers`: their failures reach the `errorHandler`,
+     * or, if none is set and the policy is not `"isolate"`, surface as
+     * unhandled rejections. Use `notifyObserversAsync` to wait for them.
      *
      * @param {INotification} notification - The notification containing the data or command details to be sent to observers.
      * @returns {void}
+     * @throws {Error} The first error thrown by an `Observer` under the `"rethrow"` policy.
+     * @throws {AggregateError} The errors thrown by `Observers` under the `"aggregate"` policy.
      */
     public notifyObservers(notification: INotification): void {
-        if (this.observerMap[notification.name] == null) return;
+        const errors: unknown[] = [];
+        this.abandon(this.notifyObserverList(notification, errors));
+        if (errors.length > 0) throw this.aggregateErrors(errors, notification);
+    }
 
-        // Get a reference to the observer list for this notification name
-        // Copy observers from reference array to a working array,
-        // since the reference array may change during the notification loop
-        const observers: IObserver[] = this.observerMap[notification.name].slice();
+    /**
+     * Notify the `Observers` for a particular `Notification`,
+     * and wait for any asynchronous work they started to complete.
+     *
+     * `Observers` are notified in the same order as `notifyObservers`.
+     * The returned Promise settles once every Promise returned by an
+     * `Observer` (e.g. by an asynchronous `Command`) has settled.
+     *
+     * Failures are handled according to the `errorPolicy`: under `"rethrow"`
+     * the Promise rejects with the first failure, under `"isolate"` it resolves,
+     * and under `"aggregate"` it rejects with an `AggregateError`.
+     *
+     * @param {INotification} notification - The notification containing the data or command details to be sent to observers.
+     * @returns {Promise<void>} A Promise that settles when all triggered work is done.
+     */
+    public async notifyObserversAsync(notification: INotification): Promise<void> {
+        const errors: unknown[] = [];
+        const results: PromiseSettledResult<void>[] = await Promise.allSettled(this.notifyObserverList(notification, errors));
+        for (const result of results) {
+            if (result.status == "rejected") errors.push(result.reason);
+        }
+        if (errors.length == 0) return;
+        throw this._errorPolicy == "aggregate" ? this.aggregateErrors(errors, notification) : errors[0];
+    }
 
-        // Notify Observers from the working array
+    /**
+     * Notify the `Observers` for a particular `Notification`,
+     * collecting the Promises returned by asynchronous `Observers`.
+     *
+     * Errors thrown by `Observers` are reported to the `errorHandler`.
+     * Under the `"rethrow"` policy the error is thrown immediately,
+     * under the `"aggregate"` policy it is added to `errors`.
+     *
+     * @param {INotification} notification - The notification to be sent to observers.
+     * @param {unknown[]} errors - The list collecting errors under the `"aggregate"` policy.
+     * @returns {Promise<void>[]} The Promises returned by the notified observers.
+     */
+    protected notifyObserverList(notification: INotification, errors: unknown[]): Promise<void>[] {
+        const pending: Promise<void>[] = [];
+
+        // Get a working copy of the observer list for this notification name,
+        // since the reference arrays may change during the notification loop
+        const observers: IObserver[] = this.listObservers(notification.name);
+
+        // Notify Observers from the working array, until one of them stops propagation
         for (let i: number = 0; i < observers.length; i++) {
-            observers[i].notifyObserver(notification);
+            if (notification.isPropagationStopped) break;
+            const observer: IObserver = observers[i];
+            try {
+                const result: void | Promise<void> = observer.notifyObserver(notification);
+                if (result instanceof Promise) {
+                    pending.push(result.catch((error: unknown) => {
+                        this._errorHandler?.(error, notification, observer);
+                        if (this._errorPolicy != "isolate") throw error;
+                    }));
+                }
+            } catch (error) {
+                this._errorHandler?.(error, notification, observer);
+                if (this._errorPolicy == "rethrow") {
+                    this.abandon(pending);
+                    throw error;
+                }
+                if (this._errorPolicy == "aggregate") errors.push(error);
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * Abandon the Promises returned by asynchronous `Observers`, nobody waiting for them.
+     *
+     * Their failures are marked as handled if the `errorHandler` has
+     * received them, otherwise they surface as unhandled rejections.
+     *
+     * @param {Promise<void>[]} pending - The Promises returned by the notified observers.
+     * @returns {void}
+     */
+    protected abandon(pending: Promise<void>[]): void {
+        if (this._errorHandler == null) return;
+        pending.forEach((promise: Promise<void>) => promise.catch(() => undefined));
+    }
+
+    /**
+     * List the `Observers` to notify of `Notifications` with a given name.
+     *
+     * The `Observers` registered for the exact name are looked up directly,
+     * and merged in order of priority with those registered for matching patterns.
+     * `Observers` of equal priority registered for the exact name come first.
+     * An `Observer` registered for several matching names is listed once.
+     *
+     * @param {string} notificationName - The name of the notification being sent.
+     * @returns {IObserver[]} A new array of the observers to notify.
+     */
+    protected listObservers(notificationName: string): IObserver[] {
+        const observers: IObserver[] = this.observerMap[notificationName]?.slice() ?? [];
+
+        let matched: boolean = false;
+        for (const pattern in this.patternMap) {
+            if (this.patternRegExpMap[pattern].test(notificationName)) {
+                observers.push(...this.patternMap[pattern]);
+                matched = true;
+            }
+        }
+        if (!matched) return observers;
+
+        return observers
+            .filter((observer: IObserver, index: number) => observers.indexOf(observer) == index)
+            .sort((a: IObserver, b: IObserver) => (b.priority ?? 0) - (a.priority ?? 0));
+    }
+
+    /**
+     * Check if a Notification name is a pattern.
+     *
+     * @param {string} notificationName - The notification name to check.
+     * @returns {boolean} `true` if the name contains a `*` wildcard; otherwise, `false`.
+     */
+    protected isPattern(notificationName: string): boolean {
+        return notificationName.includes("*");
+    }
+
+    /**
+     * Create the regular expression matching a Notification name pattern.
+     *
+     * @param {string} pattern - The notification name pattern.
+     * @returns {RegExp} A regular expression matching the whole notification name.
+     */
+    protected createPatternRegExp(pattern: string): RegExp {
+        const source: string = pattern
+            .split("*")
+            .map((part: string) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*");
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Combine the errors thrown while notifying `Observers` into an `AggregateError`.
+     *
+     * @param {unknown[]} errors - The errors thrown by the observers.
+     * @param {INotification} notification - The notification being sent.
+     * @returns {AggregateError} The combined error.
+     */
+    protected aggregateErrors(errors: unknown[], notification: INotification): AggregateError {
+        return new AggregateError(errors, `${errors.length} observer(s) failed to handle Notification ${notification.name}`);
+    }
+
+    /**
+     * Get the policy applied when a notified `Observer` fails.
+     *
+     * @returns {ObserverErrorPolicy} The current error policy.
+     */
+    public get errorPolicy(): ObserverErrorPolicy {
+        return this._errorPolicy;
+    }
+
+    /**
+     * Set the policy applied when a notified `Observer` fails.
+     *
+     * - `"rethrow"` (default): stop notifying and rethrow the error.
+     * - `"isolate"`: continue notifying the remaining `Observers`.
+     * - `"aggregate"`: continue notifying the remaining `Observers`, then throw an `AggregateError`.
+     *
+     * @param {ObserverErrorPolicy} value - The error policy.
+     */
+    public set errorPolicy(value: ObserverErrorPolicy) {
+        this._errorPolicy = value;
+    }
+
+    /**
+     * Get the hook receiving each failure of a notified `Observer`.
+     *
+     * @returns {ObserverErrorHandler | null} The current error handler, or `null` if none is set.
+     */
+    public get errorHandler(): ObserverErrorHandler | null {
+        return this._errorHandler;
+    }
+
+    /**
+     * Set the hook receiving each failure of a notified `Observer`.
+     *
+     * The handler is called with the error, the `Notification` being sent
+     * and the failing `Observer`, regardless of the `errorPolicy`.
+     *
+     * @param {ObserverErrorHandler | null} value - The error handler, or `null` to remove it.
+     */
+    public set errorHandler(value: ObserverErrorHandler | null) {
+        this._errorHandler = value;
+    }
+
+    /**
+     * Get the policy applied when a `Mediator` is registered under a name already registered
+     *
+     * @returns {DuplicatePolicy} The current policy.
+     */
+    public get duplicatePolicy(): DuplicatePolicy {
+        return this._duplicatePolicy;
+    }
+
+    /**
+     * Set the policy applied when a `Mediator` is registered under a name already registered
+     *
+     * Under `"replace"` and `"warn"`, the `Mediator` registered is removed,
+     * and its `onRemove` method called, before the new one is registered.
+     *
+     * @param {DuplicatePolicy} value - The policy.
+     */
+    public set duplicatePolicy(value: DuplicatePolicy) {
+        this._duplicatePolicy = value;
+    }
+
+    /**
+     * Register an `Observer` to be notified of the next
+     * `Notification` with a given name only.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to which the observer should be registered.
+     * @param {IObserver} observer - The observer instance to be registered.
+     * @returns {void}
+     */
+    public registerObserverOnce(notificationName: string, observer: IObserver): void {
+        this.registerObserverLimited(notificationName, observer, 1);
+    }
+
+    /**
+     * Register an `Observer` to be notified of `Notifications`
+     * with a given name a limited number of times, or for a limited time.
+     *
+     * The `Observer` is removed before it is notified for the last time,
+     * or once its time to live has elapsed. It can be removed earlier with
+     * `removeObserver`, using its `notifyContext`, unless another `Observer`
+     * of the same name has the same context. A `count` of zero or less
+     * registers nothing.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to which the observer should be registered.
+     * @param {IObserver} observer - The observer instance to be registered.
+     * @param {number} [count] - Optional number of notifications after which the observer is removed, greater than zero. Defaults to no limit.
+     * @param {number} [ttl] - Optional time to live in milliseconds, after which the observer is no longer notified. Defaults to no limit.
+     * @returns {void}
+     */
+    public registerObserverLimited(notificationName: string, observer: IObserver, count?: number, ttl?: number): void {
+        if (count != null && count <= 0) return;
+        let remaining: number = count ?? Infinity;
+        const expiresAt: number = ttl == null ? Infinity : Date.now() + ttl;
+
+        // Create an Observer counting the notifications, and removing itself
+        // from the reference list, the notification loop works on a copy.
+        // It has its own context, so that removing another Observer with
+        // the context of the one it wraps, e.g. a Mediator, leaves it alone
+        const limited: IObserver = new Observer((notification: INotification): void | Promise<void> => {
+            if (Date.now() >= expiresAt) {
+                this.removeObserverMatching(notificationName, (o: IObserver) => o == limited);
+                return;
+            }
+            if (--remaining <= 0) {
+                this.removeObserverMatching(notificationName, (o: IObserver) => o == limited);
+            }
+            return observer.notifyObserver(notification);
+        }, {}, observer.priority);
+
+        this.limitedObserverMap.set(limited, observer);
+        this.registerObserver(notificationName, limited);
+
+        // remove the Observer once expired, even if no matching Notification is sent
+        if (ttl != null) {
+            this.expiryTimerMap.set(limited, setTimeout(() => {
+                this.removeObserverMatching(notificationName, (o: IObserver) => o == limited);
+            }, ttl));
         }
     }
 
     /**
      * Remove the observer for a given notifyContext from an observer list for a given Notification name.
      *
-     * @param {string} notificationName - The name of the notification for which the observer should be removed.
+     * @param {string} notificationName - The name, or name pattern, of the notification for which the observer should be removed.
      * @param {object} notifyContext - The context of the observer to be removed.
      * @returns {void}
      */
     public removeObserver(notificationName: string, notifyContext: object): void {
-        // the observer list for the notification under inspection
-        const observers: IObserver[] = this.observerMap[notificationName];
+        if (this.removeObserverMatching(notificationName, (observer: IObserver) => observer.compareNotifyContext(notifyContext))) return;
+
+        // otherwise, remove the limited Observer wrapping an Observer with the context
+        this.removeObserverMatching(notificationName, (observer: IObserver) =>
+            this.limitedObserverMap.get(observer)?.compareNotifyContext(notifyContext) ?? false);
+    }
 
-        // find the observer for the notifyContext
+    /**
+     * Remove the first observer matching a predicate from an observer list for a given Notification name.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification for which the observer should be removed.
+     * @param {(observer: IObserver) => boolean} predicate - Returns `true` for the observer to be removed.
+     * @returns {boolean} `true` if an observer was removed; otherwise, `false`.
+     */
+    private removeObserverMatching(notificationName: string, predicate: (observer: IObserver) => boolean): boolean {
+        // the observer list for the notification name or pattern under inspection
+        const map: { [key: string]: IObserver[] } = this.isPattern(notificationName) ? this.patternMap : this.observerMap;
+        const observers: IObserver[] | undefined = map[notificationName];
+        if (observers == null) return false;
+
+        // find the observer matching the predicate
+        let removed: boolean = false;
         for (let i: number = 0; i < observers.length; i++) {
-            if (observers[i].compareNotifyContext(notifyContext)) {
+            if (predicate(observers[i])) {
                 // there can only be one Observer for a given notifyContext
                 // in any given Observer list, so remove it and break
+                this.forgetLimitedObserver(observers[i]);
                 observers.splice(i, 1);
+                removed = true;
                 break;
             }
         }
@@ -161,8 +556,25 @@ export class View implements IView {
         // Also, when a Notification's Observer list length falls to
         // zero, delete the notification key from the observer map
         if (observers.length == 0) {
-            delete this.observerMap[notificationName];
+            delete map[notificationName];
+            delete this.patternRegExpMap[notificationName];
         }
+        return removed;
+    }
+
+    /**
+     * Forget a removed limited `Observer`, clearing the timer
+     * removing it once expired, if any.
+     *
+     * @param {IObserver} observer - The observer removed.
+     * @returns {void}
+     */
+    private forgetLimitedObserver(observer: IObserver): void {
+        this.limitedObserverMap.delete(observer);
+        const timer: ReturnType<typeof setTimeout> | undefined = this.expiryTimerMap.get(observer);
+        if (timer == null) return;
+        clearTimeout(timer);
+        this.expiryTimerMap.delete(observer);
     }
 
     /**
@@ -176,36 +588,81 @@ export class View implements IView {
      * names to be notified about, an `Observer` is created encapsulating
      * the `Mediator` instance's `handleNotification` method
      * and registering it as an `Observer` for all `Notifications` the
-     * `Mediator` is interested in.
+     * `Mediator` is interested in. Interests may be name patterns
+     * such as `user/*` (see `registerObserver`).
+     *
+     * If a `Mediator` is already registered with the same
+     * name, the `duplicatePolicy` is applied.
+     *
+     * The properties declared by the static `inject` map of the
+     * `Mediator`'s class are filled before it is registered.
      *
      * @param {IMediator} mediator - The mediator instance to be registered.
+     * @param {number} [priority] - Optional delivery priority for the mediator's `Observer`. Defaults to `0`.
      * @returns {void}
      */
-    public registerMediator(mediator: IMediator): void {
-        // do not allow re-registration (you must to removeMediator fist)
-        if (this.mediatorMap[mediator.name] != null) return;
+    public registerMediator(mediator: IMediator, priority?: number): void {
+        // apply the duplicate policy to a re-registration
+        if (this.mediatorMap[mediator.name] != null && !this.resolveDuplicate(mediator.name)) return;
+
+        mediator.initializeNotifier(this.multitonKey);
+
+        // Fill the dependencies declared by the Mediator's inject map
+        new Injector(this.multitonKey).inject(mediator);
 
         // Register the Mediator for retrieval by name
         this.mediatorMap[mediator.name] = mediator;
 
-        // Get Notification interests, if any.
-        const interests: string[] = mediator.listNotificationInterests();
+        // Get Notification interests, if any, and remember them for removal
+        const interests: string[] = mediator.listNotificationInterests().slice();
+        this.interestMap[mediator.name] = interests;
 
-        // Register Mediator as an observer for each notification of interests
-        if (interests.length > 0) {
-            // Create Observer referencing this mediator's handleNotification method
-            const observer: IObserver = new Observer(mediator.handleNotification, mediator);
+        // Create Observer referencing this mediator's handleNotification method
+        const observer: IObserver = new Observer(mediator.handleNotification, mediator, priority);
+        this.mediatorObserverMap[mediator.name] = observer;
 
-            // Register Mediator as Observer for its list of Notification interests
-            for (let i: number = 0; i < interests.length; i++) {
-                this.registerObserver(interests[i], observer);
-            }
+        // Register Mediator as Observer for its list of Notification interests
+        for (let i: number = 0; i < interests.length; i++) {
+            this.registerObserver(interests[i], observer);
         }
 
         // alert the mediator that it has been registered
         mediator.onRegister();
     }
 
+    /**
+     * Update the `Notification` interests of a registered `Mediator`.
+     *
+     * Interrogates the `Mediator` for its current `Notification`
+     * interests, compares them with the interests it was registered
+     * for, and registers or removes its `Observer` accordingly.
+     *
+     * Call this method whenever the list returned by a registered
+     * `Mediator`'s `listNotificationInterests` changes.
+     *
+     * @param {string} mediatorName - The name of the mediator to update.
+     * @returns {void}
+     */
+    public updateMediatorInterests(mediatorName: string): void {
+        const mediator: IMediator = this.mediatorMap[mediatorName];
+        if (mediator == null) return;
+
+        const registered: string[] = this.interestMap[mediatorName];
+        const interests: string[] = mediator.listNotificationInterests().slice();
+
+        // remove the observer from the interests that were dropped
+        for (let i: number = 0; i < registered.length; i++) {
+            if (!interests.includes(registered[i])) this.removeObserver(registered[i], mediator);
+        }
+
+        // register the observer for the interests that were added
+        for (let i: number = 0; i < interests.length; i++) {
+            if (!registered.includes(interests[i])) this.registerObserver(interests[i], this.mediatorObserverMap[mediatorName]);
+        }
+
+        this.interestMap[mediatorName] = interests;
+    }
+
     /**
      * Retrieve a `Mediator` from the `View`.
      *
@@ -237,16 +694,18 @@ export class View implements IView {
         const mediator: IMediator = this.mediatorMap[mediatorName];
         if (mediator == null) return null;
 
-        // for every notification this mediator is interested in...
-        const interests: string[] = mediator.listNotificationInterests();
+        // for every notification this mediator was registered for...
+        const interests: string[] = this.interestMap[mediatorName];
         for (let i: number = 0; i < interests.length; i++) {
             // remove the observer linking the mediator
             // to the notification interest
             this.removeObserver(interests[i], mediator);
         }
 
-        // remove the mediator from the map
+        // remove the mediator and its registration records from the maps
         delete this.mediatorMap[mediatorName];
+        delete this.mediatorObserverMap[mediatorName];
+        delete this.interestMap[mediatorName];
 
         // alert the mediator that it has been removed
         mediator.onRemove();
@@ -254,4 +713,45 @@ export class View implements IView {
         return mediator;
     }
 
+    /**
+     * Apply the `duplicatePolicy` to a name already registered.
+     *
+     * @param {string} mediatorName - The name registered again.
+     * @returns {boolean} `true` if the new registration proceeds; otherwise, `false`.
+     * @throws {Error} Error under the `"throw"` policy.
+     */
+    protected resolveDuplicate(mediatorName: string): boolean {
+        switch (this.duplicatePolicy) {
+        case "throw":
+            throw Error(`Mediator ${mediatorName} is already registered`);
+        case "ignore":
+            return false;
+        case "warn":
+            console.warn(`Mediator ${mediatorName} is already registered, replacing it`);
+            break;
+        }
+        this.removeMediator(mediatorName);
+        return true;
+    }
+
+    /**
+     * Remove every `Mediator` from the `View`, calling
+     * their `onRemove` methods, then every remaining `Observer`,
+     * and remove the `View` from its Core.
+     *
+     * @returns {void}
+     */
+    public dispose(): void {
+        for (const mediatorName in this.mediatorMap) {
+            this.removeMediator(mediatorName);
+        }
+        this.observerMap = {};
+        this.patternMap = {};
+        this.patternRegExpMap = {};
+        this.expiryTimerMap.forEach((timer: ReturnType<typeof setTimeout>) => clearTimeout(timer));
+        this.expiryTimerMap.clear();
+        this.limitedObserverMap.clear();
+        if (View.instanceMap[this.multitonKey] == this) View.removeView(this.multitonKey);
+    }
+
 }
@@ -6,25 +6,44 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-export type {IController} from "./interfaces/IController";
+export type {IController, CommandMiddleware} from "./interfaces/IController";
 export type {IModel} from "./interfaces/IModel";
-export type {IView} from "./interfaces/IView";
-export type {ICommand} from "./interfaces/ICommand";
-export type {IFacade} from "./interfaces/IFacade";
-export type {IMediator} from "./interfaces/IMediator";
-export type {INotification} from "./interfaces/INotification";
+export type {IView, ObserverErrorPolicy, ObserverErrorHandler} from "./interfaces/IView";
+export type {ICommand, SubCommand} from "./interfaces/ICommand";
+export type {ICommandHistory} from "./interfaces/ICommandHistory";
+export type {IFacade, WaitForOptions, DuplicatePolicy} from "./interfaces/IFacade";
+export type {IGuard, GuardPredicate, GuardClass, CommandGuard, GuardRejection} from "./interfaces/IGuard";
+export type {IImmutableProxy} from "./interfaces/IImmutableProxy";
+export type {IInjector, InjectMap} from "./interfaces/IInjector";
+export type {IMediator, MediatorClass} from "./interfaces/IMediator";
+export type {INotification, NotificationArgs, NotificationMap, NotificationOf} from "./interfaces/INotification";
+export type {INotificationStream, StreamOptions, StreamOverflowPolicy} from "./interfaces/INotificationStream";
 export type {INotifier} from "./interfaces/INotifier";
-export type {IObserver} from "./interfaces/IObserver";
-export type {IProxy} from "./interfaces/IProxy";
+export type {IObservableProxy, ProxyChange} from "./interfaces/IObservableProxy";
+export type {IObserver, NotifyMethod} from "./interfaces/IObserver";
+export type {IProxy, ProxyClass, ProxyReadyState} from "./interfaces/IProxy";
+export type {IUndoableCommand} from "./interfaces/IUndoableCommand";
 
 export {Controller} from "./core/Controller";
 export {Model} from "./core/Model";
 export {View} from "./core/View";
 export {MacroCommand} from "./patterns/command/MacroCommand";
+export {AsyncCommand} from "./patterns/command/AsyncCommand";
+export {AsyncMacroCommand} from "./patterns/command/AsyncMacroCommand";
+export {ParallelMacroCommand} from "./patterns/command/ParallelMacroCommand";
+export {SubCommandList} from "./patterns/command/SubCommandList";
 export {SimpleCommand} from "./patterns/command/SimpleCommand";
+export {CommandHistory} from "./patterns/command/CommandHistory";
+export {UndoableCommand} from "./patterns/command/UndoableCommand";
+export {UndoableMacroCommand} from "./patterns/command/UndoableMacroCommand";
+export {Guard} from "./patterns/command/Guard";
 export {Facade} from "./patterns/facade/Facade";
+export {Injector} from "./patterns/facade/Injector";
 export {Mediator} from "./patterns/mediator/Mediator";
 export {Notification} from "./patterns/observer/Notification";
 export {Notifier} from "./patterns/observer/Notifier";
+export {NotificationStream} from "./patterns/observer/NotificationStream";
 export {Observer} from "./patterns/observer/Observer";
 export {Proxy} from "./patterns/proxy/Proxy";
+export {ObservableProxy} from "./patterns/proxy/ObservableProxy";
+export {ImmutableProxy} from "./patterns/proxy/ImmutableProxy";
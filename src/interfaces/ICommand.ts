@@ -8,6 +8,7 @@
 
 import {INotifier} from "./INotifier";
 import {INotification} from "./INotification";
+import {CommandGuard, GuardPredicate} from "./IGuard";
 
 /**
  * The interface definition for a PureMVC Command.
@@ -16,13 +17,45 @@ import {INotification} from "./INotification";
  *
  * @interface ICommand
  * @extends {INotifier}
+ * @template N - The type of the notifications the command executes, for instance a `NotificationOf` union.
  */
-export interface ICommand extends INotifier {
+export interface ICommand<N extends INotification = INotification> extends INotifier {
     /**
      * Execute the `ICommand`'s logic to handle a given `INotification`.
      *
-     * @param {INotification} notification - The notification carrying the data and type necessary for executing the command.
-     * @returns {void}
+     * An asynchronous `ICommand` may return a Promise which settles
+     * when its work is complete.
+     *
+     * @param {N} notification - The notification carrying the data and type necessary for executing the command.
+     * @returns {void | Promise<void>}
+     */
+    execute(notification: N): void | Promise<void>;
+
+    /**
+     * Optional guards, all approving the `INotification` before
+     * the `Controller` executes the `ICommand`.
+     *
+     * @type {CommandGuard[] | undefined}
+     */
+    guards?: CommandGuard[];
+
+    /**
+     * Optional name of the notification sent when a guard rejects
+     * the `ICommand`. Defaults to `Controller.GUARD_REJECTED`.
+     *
+     * @type {string | undefined}
      */
-    execute(notification: INotification): void;
+    guardRejectedNotification?: string;
+}
+
+/**
+ * A `SubCommand` of a macro command: the factory creating it,
+ * and an optional predicate deciding whether it is executed.
+ */
+export interface SubCommand {
+    /** the factory creating the command */
+    factory: () => ICommand;
+
+    /** the predicate deciding whether the command is executed, if any */
+    predicate?: GuardPredicate;
 }
@@ -0,0 +1,63 @@
+//
+//  ICommandHistory.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {IUndoableCommand} from "./IUndoableCommand";
+
+/**
+ * `ICommandHistory` The interface definition for a PureMVC `CommandHistory`.
+ *
+ * An `ICommandHistory` keeps the `IUndoableCommands` executed,
+ * and walks back and forth through them to undo and redo them.
+ *
+ * @interface ICommandHistory
+ */
+export interface ICommandHistory {
+
+    /**
+     * Whether there is a command to undo.
+     *
+     * @type {boolean}
+     */
+    readonly canUndo: boolean;
+
+    /**
+     * Whether there is an undone command to redo.
+     *
+     * @type {boolean}
+     */
+    readonly canRedo: boolean;
+
+    /**
+     * Record an executed command, discarding the undone ones.
+     *
+     * @param {IUndoableCommand} command - The command executed.
+     * @returns {void}
+     */
+    record(command: IUndoableCommand): void;
+
+    /**
+     * Undo the last command executed or redone.
+     *
+     * @returns {boolean} `true` if a command was undone; otherwise, `false`.
+     */
+    undo(): boolean;
+
+    /**
+     * Redo the last command undone.
+     *
+     * @returns {boolean} `true` if a command was redone; otherwise, `false`.
+     */
+    redo(): boolean;
+
+    /**
+     * Forget every recorded command.
+     *
+     * @returns {void}
+     */
+    clear(): void;
+}
@@ -8,6 +8,25 @@
 
 import {ICommand} from "./ICommand";
 import {INotification} from "./INotification";
+import {ICommandHistory} from "./ICommandHistory";
+import {DuplicatePolicy} from "./IFacade";
+
+/**
+ * A middleware wrapping the execution of each `ICommand` by the `IController`.
+ *
+ * It may log, time, transform the `INotification` passed to `next`,
+ * short-circuit by not calling `next`, or catch the errors thrown by `next`.
+ *
+ * @param {INotification} notification - The notification about to be executed.
+ * @param {() => ICommand} commandFactory - The factory of the command about to be executed.
+ * @param {(notification?: INotification) => void | Promise<void>} next - Calls the next middleware, or executes the command, with the given notification or the same one.
+ * @returns {void | Promise<void>} The result of `next`, or a Promise settling when the middleware is complete.
+ */
+export type CommandMiddleware = (
+    notification: INotification,
+    commandFactory: () => ICommand,
+    next: (notification?: INotification) => void | Promise<void>
+) => void | Promise<void>;
 
 /**
  * `IController` The interface definition for a PureMVC `Controller`.
@@ -28,9 +47,13 @@ import {INotification} from "./INotification";
  */
 export interface IController {
     /**
-     * Register a particular `ICommand` class as the handler
+     * Register a particular `ICommand` class as a handler
      * for a particular INotification.
      *
+     * The `ICommand`s registered for the same `INotification`
+     * are executed in order. In `strict` mode, registering a
+     * second one is handled according to the `duplicatePolicy`.
+     *
      * @param {string} notificationName - the name of the `INotification`
      * @param {() => ICommand} factory - A factory that returns `ICommand`
      * @returns {void}
@@ -38,13 +61,37 @@ export interface IController {
     registerCommand(notificationName: string, factory: () => ICommand): void;
 
     /**
-     * Execute the `ICommand` previously registered as the
-     * handler for `INotifications` with the given notification name.
+     * Execute the `ICommand`s previously registered as the
+     * handlers for `INotifications` with the given notification name.
      *
-     * @param {INotification} notification - the `INotification` to execute the associated `ICommand` for
-     * @returns {void}
+     * @param {INotification} notification - the `INotification` to execute the associated `ICommand`s for
+     * @returns {void | Promise<void>} a Promise settling with the asynchronous `ICommand`s, if any.
+     */
+    executeCommand(notification: INotification): void | Promise<void>;
+
+    /**
+     * The history of the `IUndoableCommands` executed.
+     *
+     * @type {ICommandHistory}
+     */
+    commandHistory: ICommandHistory;
+
+    /**
+     * Whether a single `ICommand` may be registered for
+     * an `INotification`, registering a second one being
+     * handled according to the `duplicatePolicy`.
+     *
+     * @type {boolean}
+     */
+    strict: boolean;
+
+    /**
+     * The policy applied in `strict` mode when an `ICommand` is
+     * registered for an `INotification` already mapped. Defaults to `"throw"`.
+     *
+     * @type {DuplicatePolicy}
      */
-    executeCommand(notification: INotification): void;
+    duplicatePolicy: DuplicatePolicy;
 
     /**
      * Check if a `Command` is registered for a given `Notification`
@@ -58,7 +105,33 @@ export interface IController {
      * Remove a previously registered `ICommand` to `INotification` mapping.
      *
      * @param {string} notificationName - the name of the INotification to remove the ICommand mapping for
+     * @param {() => ICommand} [factory] - optional factory of the single `ICommand` to remove
+     * @returns {void}
+     */
+    removeCommand(notificationName: string, factory?: () => ICommand): void;
+
+    /**
+     * Add a `CommandMiddleware`, wrapping the execution of
+     * each `ICommand` inside the middleware added before.
+     *
+     * @param {CommandMiddleware} middleware - The middleware to add.
+     * @returns {void}
+     */
+    addMiddleware(middleware: CommandMiddleware): void;
+
+    /**
+     * Remove a previously added `CommandMiddleware`.
+     *
+     * @param {CommandMiddleware} middleware - The middleware to remove.
+     * @returns {void}
+     */
+    removeMiddleware(middleware: CommandMiddleware): void;
+
+    /**
+     * Remove every `ICommand` mapping, and remove
+     * the `Controller` from its Core.
+     *
      * @returns {void}
      */
-    removeCommand(notificationName: string): void;
+    dispose(): void;
 }
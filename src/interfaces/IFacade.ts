@@ -8,9 +8,47 @@
 
 import {INotifier} from "./INotifier";
 import {ICommand} from "./ICommand";
-import {IMediator} from "./IMediator";
-import {INotification} from "./INotification";
-import {IProxy} from "./IProxy";
+import {CommandMiddleware} from "./IController";
+import {IMediator, MediatorClass} from "./IMediator";
+import {INotification, NotificationArgs, NotificationMap, NotificationOf} from "./INotification";
+import {INotificationStream, StreamOptions} from "./INotificationStream";
+import {IProxy, ProxyClass} from "./IProxy";
+import {IObserver} from "./IObserver";
+
+/**
+ * Options for waiting for an `INotification` with `IFacade.waitFor`.
+ *
+ * @template N - The type of the notification waited for.
+ */
+export interface WaitForOptions<N extends INotification = INotification> {
+
+    /**
+     * Only resolve with an `INotification` for which the predicate returns `true`.
+     */
+    predicate?: (notification: N) => boolean;
+
+    /**
+     * Reject if no matching `INotification` is sent within this many milliseconds.
+     */
+    timeout?: number;
+
+    /**
+     * Reject, and stop waiting, when this signal is aborted.
+     */
+    signal?: AbortSignal;
+}
+
+/**
+ * How a Core handles the registration of an `IProxy`, an `IMediator`,
+ * or, in `strict` mode, an `ICommand`, under a name already registered.
+ * `IFacade.setDuplicatePolicy` applies it to all three.
+ *
+ * - `"throw"`: throw an `Error`.
+ * - `"replace"`: remove the one registered, calling its `onRemove` method, and register the new one.
+ * - `"ignore"`: keep the one registered.
+ * - `"warn"`: log a warning with `console.warn`, then replace the one registered.
+ */
+export type DuplicatePolicy = "throw" | "replace" | "ignore" | "warn";
 
 /**
  * `IFacade` The interface definition for a PureMVC `Facade`.
@@ -23,35 +61,76 @@ import {IProxy} from "./IProxy";
  * the core MVC actors (`Model`, `View`, `Controller`) and
  * the rest of your application.
  *
+ * A `NotificationMap` may be given, so that the names and
+ * bodies of the notifications sent, and the notifications
+ * received by `ICommand`s, are checked at compile time.
+ *
  * @interface IFacade
  * @extends {INotifier}
+ * @template M - The notification map of the Core.
  */
-export interface IFacade extends INotifier {
+export interface IFacade<M = NotificationMap> extends INotifier {
+
+    /**
+     * Create and send an `INotification`.
+     *
+     * @param {K} notificationName - The name of the notification to send.
+     * @param {NotificationArgs<M, K>} args - The data associated with the notification, optional unless the map requires it, then an optional type.
+     * @returns {void}
+     */
+    sendNotification<K extends keyof M & string>(notificationName: K, ...args: NotificationArgs<M, K>): void;
+
 
     /**
      * Register an `ICommand` with the `Controller`
      *
-     * @param {string} notificationName - the name of the `INotification` to associate the `ICommand` with.
-     * @param {() => ICommand} factory - A factory that creates an instance of the `ICommand` to be registered.
+     * @param {K} notificationName - the name of the `INotification` to associate the `ICommand` with.
+     * @param {() => ICommand<NotificationOf<M, K>>} factory - A factory that creates an instance of the `ICommand` to be registered.
      * @returns {void}
      */
-    registerCommand(notificationName: string, factory: () => ICommand): void;
+    registerCommand<K extends keyof M & string>(notificationName: K, factory: () => ICommand<NotificationOf<M, K>>): void;
 
     /**
      * Check if a `ICommand` is registered for a given `Notification`
      *
-     * @param {string} notificationName - The name of the notification to check.
+     * @param {keyof M & string} notificationName - The name of the notification to check.
      * @returns {boolean} `true` if a command is registered for the notification name, `false` otherwise.
      */
-    hasCommand(notificationName: string): boolean;
+    hasCommand(notificationName: keyof M & string): boolean;
 
     /**
      * Remove a previously registered `ICommand` to `INotification` mapping from the `Controller`.
      *
-     * @param {string} notificationName - the name of the `INotification` to remove the `ICommand` mapping for
+     * @param {K} notificationName - the name of the `INotification` to remove the `ICommand` mapping for
+     * @param {() => ICommand<NotificationOf<M, K>>} [factory] - optional factory of the single `ICommand` to remove
+     * @returns {void}
+     */
+    removeCommand<K extends keyof M & string>(notificationName: K, factory?: () => ICommand<NotificationOf<M, K>>): void;
+
+    /**
+     * Add a `CommandMiddleware` to the `Controller`.
+     *
+     * @param {CommandMiddleware} middleware - The middleware to add.
      * @returns {void}
      */
-    removeCommand(notificationName: string): void;
+    addMiddleware(middleware: CommandMiddleware): void;
+
+    /**
+     * Remove a previously added `CommandMiddleware` from the `Controller`.
+     *
+     * @param {CommandMiddleware} middleware - The middleware to remove.
+     * @returns {void}
+     */
+    removeMiddleware(middleware: CommandMiddleware): void;
+
+    /**
+     * Set the `DuplicatePolicy` of the `Model`, `View` and `Controller` of the Core,
+     * putting the `Controller` in `strict` mode.
+     *
+     * @param {DuplicatePolicy} policy - The policy applied to the duplicate proxies, mediators and commands.
+     * @returns {void}
+     */
+    setDuplicatePolicy(policy: DuplicatePolicy): void;
 
     /**
      * Register an `IProxy` with the `Model` by name.
@@ -61,6 +140,23 @@ export interface IFacade extends INotifier {
      */
     registerProxy(proxy: IProxy): void;
 
+    /**
+     * Register an `IProxy` with the `Model`, waiting for its `onRegister` method to complete.
+     *
+     * @param {IProxy} proxy - the IProxy to be registered with the Model.
+     * @returns {Promise<void>} a Promise settling when the `IProxy` is ready, or rejecting if it failed.
+     */
+    registerProxyAsync(proxy: IProxy): Promise<void>;
+
+    /**
+     * Register a factory creating an `IProxy` with the `Model`.
+     *
+     * @param {string} proxyName - the name of the `IProxy` created.
+     * @param {() => IProxy} factory - a factory creating the `IProxy` the first time it is retrieved.
+     * @returns {void}
+     */
+    registerProxyFactory(proxyName: string, factory: () => IProxy): void;
+
     /**
      * Retrieve a `IProxy` from the `Model` by name.
      *
@@ -69,6 +165,23 @@ export interface IFacade extends INotifier {
      */
     retrieveProxy(proxyName: string): IProxy | null;
 
+    /**
+     * Retrieve a `IProxy` from the `Model` by the static `NAME` of its class.
+     *
+     * @param {ProxyClass<T>} proxyClass - the class of the `IProxy` instance to be retrieved.
+     * @returns {T | null} the `IProxy` registered by `proxyClass.NAME`, or `null` if there is none or it is not a `proxyClass` instance.
+     */
+    retrieveProxy<T extends IProxy>(proxyClass: ProxyClass<T>): T | null;
+
+    /**
+     * Retrieve a `IProxy` from the `Model`, by name or by the static `NAME` of its class.
+     *
+     * @param {string | ProxyClass<T>} proxy - the name or the class of the `IProxy` instance to be retrieved.
+     * @returns {T} the registered `IProxy`.
+     * @throws {Error} Error if no `IProxy` is registered by that name, or if it is not a `proxyClass` instance.
+     */
+    requireProxy<T extends IProxy = IProxy>(proxy: string | ProxyClass<T>): T;
+
     /**
      * Check if a `Proxy` is registered
      *
@@ -85,13 +198,30 @@ export interface IFacade extends INotifier {
      */
     removeProxy(proxyName: string): IProxy | null;
 
+    /**
+     * Remove an `IProxy` instance from the `Model` by name, waiting for its `onRemove` method to complete.
+     *
+     * @param {string} proxyName - the `IProxy` to remove from the `Model`.
+     * @returns {Promise<IProxy | null>} The removed proxy instance if found, or `null` if no proxy was registered with the given name.
+     */
+    removeProxyAsync(proxyName: string): Promise<IProxy | null>;
+
     /**
      * Register an `IMediator` instance with the `View`.
      *
      * @param {IMediator} mediator - a reference to the `IMediator` instance
+     * @param {number} [priority] - Optional delivery priority for the `IMediator`'s notifications.
      * @returns {void}
      */
-    registerMediator(mediator: IMediator): void;
+    registerMediator(mediator: IMediator, priority?: number): void;
+
+    /**
+     * Update the `INotification` interests of an `IMediator` registered with the `View`.
+     *
+     * @param {string} mediatorName - the name of the `IMediator` instance to update
+     * @returns {void}
+     */
+    updateMediatorInterests(mediatorName: string): void;
 
     /**
      * Retrieve an `IMediator` instance from the `View`.
@@ -101,6 +231,23 @@ export interface IFacade extends INotifier {
      */
     retrieveMediator(mediatorName: string): IMediator | null;
 
+    /**
+     * Retrieve an `IMediator` instance from the `View` by the static `NAME` of its class.
+     *
+     * @param {MediatorClass<T>} mediatorClass - the class of the `IMediator` instance to retrieve
+     * @returns {T | null} the `IMediator` registered by `mediatorClass.NAME`, or `null` if there is none or it is not a `mediatorClass` instance.
+     */
+    retrieveMediator<T extends IMediator<any>>(mediatorClass: MediatorClass<T>): T | null;
+
+    /**
+     * Retrieve an `IMediator` instance from the `View`, by name or by the static `NAME` of its class.
+     *
+     * @param {string | MediatorClass<T>} mediator - the name or the class of the `IMediator` instance to retrieve
+     * @returns {T} the registered `IMediator`.
+     * @throws {Error} Error if no `IMediator` is registered by that name, or if it is not a `mediatorClass` instance.
+     */
+    requireMediator<T extends IMediator<any> = IMediator>(mediator: string | MediatorClass<T>): T;
+
     /**
      * Check if a `Mediator` is registered or not
      *
@@ -117,6 +264,55 @@ export interface IFacade extends INotifier {
      */
     removeMediator(mediatorName: string): IMediator | null;
 
+    /**
+     * Register an `IObserver` with the `View` to be notified
+     * of the next `INotification` with a given name only.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to register the observer for.
+     * @param {IObserver} observer - The observer to be registered.
+     * @returns {void}
+     */
+    registerObserverOnce(notificationName: string, observer: IObserver): void;
+
+    /**
+     * Register an `IObserver` with the `View` to be notified of `INotifications`
+     * with a given name a limited number of times, or for a limited time.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to register the observer for.
+     * @param {IObserver} observer - The observer to be registered.
+     * @param {number} [count] - Optional number of notifications after which the observer is removed, greater than zero.
+     * @param {number} [ttl] - Optional time to live in milliseconds, after which the observer is removed.
+     * @returns {void}
+     */
+    registerObserverLimited(notificationName: string, observer: IObserver, count?: number, ttl?: number): void;
+
+    /**
+     * Remove an `IObserver` from the `View` by its notification context.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification the observer was registered for.
+     * @param {any} notifyContext - The `notifyContext` of the observer to remove.
+     * @returns {void}
+     */
+    removeObserver(notificationName: string, notifyContext: any): void;
+
+    /**
+     * Wait for the next `INotification` with a given name.
+     *
+     * @param {K} notificationName - The name, or name pattern, of the notification to wait for.
+     * @param {WaitForOptions<NotificationOf<M, K>>} [options] - Optional predicate, timeout and abort signal.
+     * @returns {Promise<NotificationOf<M, K>>} A Promise resolving with the matching notification.
+     */
+    waitFor<K extends keyof M & string>(notificationName: K, options?: WaitForOptions<NotificationOf<M, K>>): Promise<NotificationOf<M, K>>;
+
+    /**
+     * Stream the `INotifications` with the given names.
+     *
+     * @param {string[]} notificationNames - The names, or name patterns, of the notifications to stream.
+     * @param {StreamOptions} [options] - Optional buffer size and overflow policy.
+     * @returns {INotificationStream} An async iterator of the notifications.
+     */
+    stream(notificationNames: string[], options?: StreamOptions): INotificationStream;
+
     /**
      * Notify Observers.
      *
@@ -133,4 +329,45 @@ export interface IFacade extends INotifier {
      */
     notifyObservers(notification: INotification): void;
 
+    /**
+     * Notify Observers, and wait for any asynchronous
+     * `ICommand`s they trigger to complete.
+     *
+     * @param {INotification} notification - the `INotification` to have the `View` notify `Observers` of.
+     * @returns {Promise<void>} A Promise that settles when all triggered commands are done.
+     */
+    notifyObserversAsync(notification: INotification): Promise<void>;
+
+    /**
+     * Create and send an `INotification`, and wait for any
+     * asynchronous `ICommand`s it triggers to complete.
+     *
+     * @param {K} notificationName - The name of the notification to send.
+     * @param {NotificationArgs<M, K>} args - The data associated with the notification, optional unless the map requires it, then an optional type.
+     * @returns {Promise<void>} A Promise that settles when all triggered commands are done.
+     */
+    sendNotificationAsync<K extends keyof M & string>(notificationName: K, ...args: NotificationArgs<M, K>): Promise<void>;
+
+    /**
+     * Create and send a cancelable `INotification`, which an
+     * `IObserver` notified before its `ICommand`s may veto.
+     *
+     * @param {K} notificationName - The name of the notification to send.
+     * @param {NotificationArgs<M, K>} args - The data associated with the notification, optional unless the map requires it, then an optional type.
+     * @returns {boolean} `true` if the notification was not canceled; otherwise, `false`.
+     */
+    sendCancelableNotification<K extends keyof M & string>(notificationName: K, ...args: NotificationArgs<M, K>): boolean;
+
+    /**
+     * Tear down the Core.
+     *
+     * Removes every `ICommand`, `IMediator` and `IProxy`,
+     * calling their `onRemove` methods, and every `IObserver`,
+     * then removes the Core, so a fresh one can be built
+     * with the same key.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
+
 }
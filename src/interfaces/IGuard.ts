@@ -0,0 +1,67 @@
+//
+//  IGuard.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand} from "./ICommand";
+import {IFacade} from "./IFacade";
+import {INotification} from "./INotification";
+import {INotifier} from "./INotifier";
+
+/**
+ * The interface definition for a PureMVC Guard.
+ *
+ * A Guard decides whether a `Command` may execute, looking at the
+ * `INotification` and at the application state through the `Facade`.
+ *
+ * @see {@link ICommand}
+ *
+ * @interface IGuard
+ * @extends {INotifier}
+ */
+export interface IGuard extends INotifier {
+
+    /**
+     * Decide whether the `ICommand` may handle the given `INotification`.
+     *
+     * @param {INotification} notification - The notification about to be executed.
+     * @returns {boolean} `true` if the command may execute; otherwise, `false`.
+     */
+    approve(notification: INotification): boolean;
+}
+
+/**
+ * A predicate deciding whether a `Command` may execute.
+ *
+ * @param {INotification} notification - The notification about to be executed.
+ * @param {IFacade} facade - The facade of the Core executing the command.
+ * @returns {boolean} `true` if the command may execute; otherwise, `false`.
+ */
+export type GuardPredicate = (notification: INotification, facade: IFacade<any>) => boolean;
+
+/**
+ * A class of `IGuard`, instantiated each time a `Command` is guarded.
+ */
+export type GuardClass = new () => IGuard;
+
+/**
+ * A guard declared by a `Command`, either a predicate or a guard class.
+ */
+export type CommandGuard = GuardPredicate | GuardClass;
+
+/**
+ * The body of the notification sent when a guard rejects a `Command`.
+ */
+export interface GuardRejection {
+    /** the notification the command did not execute */
+    notification: INotification;
+
+    /** the command skipped */
+    command: ICommand;
+
+    /** the guard which rejected the command */
+    guard: CommandGuard;
+}
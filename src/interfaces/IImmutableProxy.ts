@@ -0,0 +1,66 @@
+//
+//  IImmutableProxy.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {IObservableProxy} from "./IObservableProxy";
+
+/**
+ * `IImmutableProxy` The interface definition for a PureMVC `ImmutableProxy`.
+ *
+ * An `IImmutableProxy` holds deep-frozen data, replaced by a new
+ * version on every change, and keeps a history of the previous
+ * versions to undo and redo changes.
+ *
+ * @interface IImmutableProxy
+ * @extends {IObservableProxy}
+ * @template T - The type of the proxy data.
+ */
+export interface IImmutableProxy<T = any> extends IObservableProxy<T> {
+
+    /**
+     * Whether there is a change to undo.
+     *
+     * @type {boolean}
+     */
+    readonly canUndo: boolean;
+
+    /**
+     * Whether there is an undone change to redo.
+     *
+     * @type {boolean}
+     */
+    readonly canRedo: boolean;
+
+    /**
+     * Produce a new version of the data.
+     *
+     * @param {(draft: T) => T | void} recipe - A function changing a mutable draft of the data, or returning new data.
+     * @returns {void}
+     */
+    update(recipe: (draft: T) => T | void): void;
+
+    /**
+     * Restore the previous version of the data.
+     *
+     * @returns {boolean} `true` if a change was undone; otherwise, `false`.
+     */
+    undo(): boolean;
+
+    /**
+     * Restore the version of the data last undone.
+     *
+     * @returns {boolean} `true` if a change was redone; otherwise, `false`.
+     */
+    redo(): boolean;
+
+    /**
+     * Forget the previous and undone versions of the data.
+     *
+     * @returns {void}
+     */
+    clearHistory(): void;
+}
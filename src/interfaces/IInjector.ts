@@ -0,0 +1,42 @@
+//
+//  IInjector.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {INotifier} from "./INotifier";
+import {MediatorClass} from "./IMediator";
+import {ProxyClass} from "./IProxy";
+
+/**
+ * The dependencies of a `Command` or `Mediator`, declared by
+ * its class as a static `inject` map of property names to the
+ * classes of the `Proxy`s and `Mediator`s to fill them with.
+ */
+export type InjectMap = { [property: string]: ProxyClass<any> | MediatorClass<any> };
+
+/**
+ * The interface definition for a PureMVC Injector.
+ *
+ * An `IInjector` fills the properties declared by the static
+ * `inject` map of a `Command` or `Mediator` class with the
+ * `Proxy`s and `Mediator`s registered in its Core.
+ *
+ * @see {@link InjectMap}
+ *
+ * @interface IInjector
+ * @extends {INotifier}
+ */
+export interface IInjector extends INotifier {
+
+    /**
+     * Fill the properties declared by the `inject` map of the class of the target.
+     *
+     * @param {object} target - The command or mediator to inject.
+     * @returns {void}
+     * @throws {Error} Error if a dependency is not registered.
+     */
+    inject(target: object): void;
+}
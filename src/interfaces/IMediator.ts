@@ -41,8 +41,9 @@ import {INotification} from "./INotification";
  *
  * @interface IMediator
  * @extends {INotifier}
+ * @template N - The type of the notifications the mediator handles, for instance a `NotificationOf` union.
  */
-export interface IMediator extends INotifier {
+export interface IMediator<N extends INotification = INotification> extends INotifier {
 
     /**
      * The name of the mediator.
@@ -75,6 +76,8 @@ export interface IMediator extends INotifier {
     /**
      * List `INotification` interests.
      *
+     * Interests may be name patterns containing `*` wildcards, such as `user/*`.
+     *
      * @returns {string[]} an Array of the `INotification` names this `IMediator` has an interest in.
      */
     listNotificationInterests(): string[];
@@ -82,9 +85,22 @@ export interface IMediator extends INotifier {
     /**
      * Handle an `INotification`.
      *
-     * @param {INotification} notification - the `INotification` to be handled
+     * @param {N} notification - the `INotification` to be handled
      * @returns {void}
      */
-    handleNotification(notification: INotification): void;
+    handleNotification(notification: N): void;
 
 }
+
+/**
+ * A `Mediator` class, with the static `NAME` its instances are registered by.
+ *
+ * Lets `IFacade.retrieveMediator` look up, and type, a `Mediator` by its class:
+ *
+ * ```ts
+ * const userMediator: UserMediator | null = facade.retrieveMediator(UserMediator);
+ * ```
+ *
+ * @template T - The type of the mediator.
+ */
+export type MediatorClass<T extends IMediator<any> = IMediator> = (abstract new (...args: any[]) => T) & { NAME: string };
@@ -7,6 +7,7 @@
 //
 
 import {IProxy} from "./IProxy";
+import {DuplicatePolicy} from "./IFacade";
 
 /**
  * `IModel` The interface definition for a PureMVC `Model`.
@@ -24,6 +25,14 @@ import {IProxy} from "./IProxy";
  */
 export interface IModel {
 
+    /**
+     * The policy applied when an `IProxy` is registered
+     * under a name already registered. Defaults to `"replace"`.
+     *
+     * @type {DuplicatePolicy}
+     */
+    duplicatePolicy: DuplicatePolicy;
+
     /**
      * Register an `IProxy` instance with the `Model`.
      *
@@ -32,6 +41,27 @@ export interface IModel {
      */
     registerProxy(proxy: IProxy): void;
 
+    /**
+     * Register an `IProxy` instance with the `Model`,
+     * waiting for its `onRegister` method to complete.
+     *
+     * @param {IProxy} proxy - an object reference to be held by the `Model`.
+     * @returns {Promise<void>} a Promise settling when the `IProxy` is ready, or rejecting if it failed.
+     */
+    registerProxyAsync(proxy: IProxy): Promise<void>;
+
+    /**
+     * Register a factory creating an `IProxy` with the `Model`.
+     *
+     * The `IProxy` is created and registered the first time
+     * it is retrieved or checked for.
+     *
+     * @param {string} proxyName - the name of the `IProxy` created.
+     * @param {() => IProxy} factory - a factory creating the `IProxy`.
+     * @returns {void}
+     */
+    registerProxyFactory(proxyName: string, factory: () => IProxy): void;
+
     /**
      * Retrieve an `IProxy` instance from the `Model`.
      *
@@ -55,4 +85,21 @@ export interface IModel {
      * @returns {IProxy | null} The removed `IProxy` if found, otherwise null.
      */
     removeProxy(proxyName: string): IProxy | null;
+
+    /**
+     * Remove an `IProxy` instance from the `Model`,
+     * waiting for its `onRemove` method to complete.
+     *
+     * @param {string} proxyName - name of the `IProxy` instance to be removed.
+     * @returns {Promise<IProxy | null>} The removed `IProxy` if found, otherwise null.
+     */
+    removeProxyAsync(proxyName: string): Promise<IProxy | null>;
+
+    /**
+     * Remove every `IProxy` instance, calling their `onRemove`
+     * methods, and remove the `Model` from its Core.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
 }
@@ -34,23 +34,28 @@
  * parent/child relationship in order to communicate with one another
  * using `Notifications`.
  *
+ * The name and body types may be narrowed, so that a union of
+ * `INotifications` can be discriminated by name (see `NotificationOf`).
+ *
  * @interface INotification
+ * @template Name - The type of the notification name.
+ * @template Body - The type of the notification body.
  */
-export interface INotification {
+export interface INotification<Name extends string = string, Body = any> {
 
     /**
      * The name of the notification.
      *
-     * @type {string}
+     * @type {Name}
      */
-    readonly name: string;
+    readonly name: Name;
 
     /**
      * The body of the notification.
      *
-     * @type {any}
+     * @type {Body | undefined}
      */
-    body?: any;
+    body?: Body;
 
     /**
      * The type of the notification.
@@ -59,6 +64,45 @@ export interface INotification {
      */
     type?: string;
 
+    /**
+     * Whether the notification can be canceled.
+     *
+     * @type {boolean}
+     */
+    readonly cancelable: boolean;
+
+    /**
+     * Whether the notification has been canceled.
+     *
+     * @type {boolean}
+     */
+    readonly isCanceled: boolean;
+
+    /**
+     * Whether an observer has stopped the propagation of the notification.
+     *
+     * @type {boolean}
+     */
+    readonly isPropagationStopped: boolean;
+
+    /**
+     * Cancel the notification, preventing the `ICommand`
+     * mapped to it from being executed.
+     *
+     * Has no effect if the notification is not `cancelable`.
+     *
+     * @returns {void}
+     */
+    cancel(): void;
+
+    /**
+     * Stop the notification from being delivered to
+     * any of the remaining `IObservers`.
+     *
+     * @returns {void}
+     */
+    stopPropagation(): void;
+
     /**
      * Get the string representation of the `INotification` instance
      *
@@ -66,3 +110,55 @@ export interface INotification {
      */
     toString(): string;
 }
+
+/**
+ * A map of `INotification` names to the types of their bodies.
+ *
+ * Declare one for an application, and use it to type its `Facade`,
+ * so that the names and bodies of its notifications are checked at
+ * compile time:
+ *
+ * ```ts
+ * interface AppNotifications {
+ *   USER_LOADED: User;
+ *   LOGOUT: undefined;
+ * }
+ *
+ * const facade = Facade.getInstance<AppNotifications>(key => new Facade<AppNotifications>(key));
+ * facade.sendNotification("USER_LOADED", user);
+ * ```
+ *
+ * The default map accepts any name with any body.
+ */
+export type NotificationMap = { [notificationName: string]: any };
+
+/**
+ * The arguments following the name of a notification sent with
+ * `IFacade.sendNotification`: its body, then an optional type.
+ *
+ * The body may only be left out if its type in the map accepts `undefined`.
+ *
+ * @template M - The notification map.
+ * @template K - The name of the notification.
+ */
+export type NotificationArgs<M, K extends keyof M> = undefined extends M[K]
+    ? [body?: M[K], type?: string]
+    : [body: M[K], type?: string];
+
+/**
+ * The `INotifications` of a `NotificationMap`, as a union discriminated by name.
+ *
+ * ```ts
+ * handleNotification(notification: NotificationOf<AppNotifications, "USER_LOADED" | "LOGOUT">): void {
+ *   switch (notification.name) {
+ *     case "USER_LOADED":
+ *       this.show(notification.body); // body is a User
+ *       break;
+ *   }
+ * }
+ * ```
+ *
+ * @template M - The notification map.
+ * @template K - The names of the notifications to include. Defaults to all names of the map.
+ */
+export type NotificationOf<M, K extends keyof M & string = keyof M & string> = { [P in K]: INotification<P, M[P]> & { body: M[P] } }[K];
@@ -0,0 +1,56 @@
+//
+//  INotificationStream.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {INotification} from "./INotification";
+
+/**
+ * What happens to an `INotification` received by a stream whose buffer is full.
+ *
+ * - `"dropOldest"`: the oldest buffered notification is discarded.
+ * - `"dropNewest"`: the new notification is discarded.
+ * - `"block"`: the notification is buffered, and asynchronous senders wait for the consumer to catch up.
+ *   Once as many senders wait as the buffer holds, new notifications are discarded.
+ */
+export type StreamOverflowPolicy = "dropOldest" | "dropNewest" | "block";
+
+/**
+ * Options for streaming `INotifications` with `IFacade.stream`.
+ */
+export interface StreamOptions {
+
+    /**
+     * The maximum number of buffered notifications.
+     */
+    bufferSize?: number;
+
+    /**
+     * What happens to a notification received when the buffer is full.
+     */
+    overflow?: StreamOverflowPolicy;
+}
+
+/**
+ * `INotificationStream` The interface definition for a PureMVC `NotificationStream`.
+ *
+ * An async iterator of the `INotifications` with one or more names,
+ * consumed with `for await`. Leaving the loop, or calling `close`,
+ * stops observing the notifications.
+ *
+ * @interface INotificationStream
+ */
+export interface INotificationStream extends AsyncIterableIterator<INotification> {
+
+    /**
+     * Close the stream.
+     *
+     * Notifications already buffered can still be consumed.
+     *
+     * @returns {void}
+     */
+    close(): void;
+}
@@ -18,7 +18,7 @@
  *
  * The `Notifier` class, which all the above-mentioned classes
  * extend, also provides an initialized reference to the `Facade`
- * Singleton, which is required for the convenience method
+ * Multiton of its Core, which is required for the convenience method
  * for sending `Notifications`, but also eases implementation as these
  * classes have frequent `Facade` interactions and usually require
  * access to the facade anyway.
@@ -39,4 +39,16 @@ export interface INotifier {
      * @returns {void}
      */
     sendNotification(notificationName: string, body?: any, type?: string): void;
+
+    /**
+     * Initialize this INotifier instance.
+     *
+     * This is how a Notifier gets its multitonKey.
+     * Calls to sendNotification or to access the
+     * facade will address the Core with this key.
+     *
+     * @param {string} key - The multiton key of the Core.
+     * @returns {void}
+     */
+    initializeNotifier(key: string): void;
 }
@@ -0,0 +1,76 @@
+//
+//  IObservableProxy.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {IProxy} from "./IProxy";
+
+/**
+ * The body of the `INotification` sent by an `IObservableProxy` when its data changes.
+ *
+ * @template T - The type of the proxy data.
+ */
+export interface ProxyChange<T = any> {
+
+    /**
+     * The data before the change.
+     */
+    oldData: T;
+
+    /**
+     * The data after the change.
+     */
+    newData: T;
+
+    /**
+     * The dot separated paths of the values that changed, such as `user.address.city`.
+     * An empty path denotes the data itself.
+     */
+    changedPaths: string[];
+}
+
+/**
+ * `IObservableProxy` The interface definition for a PureMVC `ObservableProxy`.
+ *
+ * An `IObservableProxy` sends an `INotification` whenever its data
+ * changes, carrying a `ProxyChange` as its body.
+ *
+ * @interface IObservableProxy
+ * @extends {IProxy}
+ * @template T - The type of the proxy data.
+ */
+export interface IObservableProxy<T = any> extends IProxy {
+
+    /**
+     * The name of the notification sent when the data changes.
+     *
+     * @type {string}
+     */
+    changedNotificationName: string;
+
+    /**
+     * The data of the proxy. Setting it sends the changed notification.
+     *
+     * @type {T}
+     */
+    data: T;
+
+    /**
+     * Replace the data with a shallow copy, merged with the given changes.
+     *
+     * @param {Partial<T>} changes - The properties to change.
+     * @returns {void}
+     */
+    patch(changes: Partial<T>): void;
+
+    /**
+     * Apply several changes, sending a single changed notification once they are all applied.
+     *
+     * @param {() => void} updates - A function changing the data.
+     * @returns {void}
+     */
+    batch(updates: () => void): void;
+}
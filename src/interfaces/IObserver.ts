@@ -48,9 +48,9 @@ export interface IObserver {
     /**
      * The method to be called when a notification is received.
      *
-     * @type {((notification: INotification) => void) | null}
+     * @type {NotifyMethod | null}
      */
-    notifyMethod?: ((notification: INotification) => void) | null;
+    notifyMethod?: NotifyMethod | null;
 
     /**
      * The context in which the notification method should be called.
@@ -59,13 +59,24 @@ export interface IObserver {
      */
     notifyContext?: any | null;
 
+    /**
+     * The delivery priority of the observer.
+     *
+     * Observers with a higher priority are notified first,
+     * observers with the same priority are notified in the
+     * order they were registered. Defaults to `0`.
+     *
+     * @type {number}
+     */
+    priority?: number;
+
     /**
      * Notify the interested object.
      *
      * @param {INotification} notification - the `INotification` to pass to the interested object's notification method
-     * @returns {void}
+     * @returns {void | Promise<void>} the Promise returned by the notification method, if any.
      */
-    notifyObserver(notification: INotification): void;
+    notifyObserver(notification: INotification): void | Promise<void>;
 
     /**
      * Compare the given object to the notification context object.
@@ -76,3 +87,12 @@ export interface IObserver {
     compareNotifyContext(object: any): boolean;
 
 }
+
+/**
+ * The notification method of an `IObserver`.
+ *
+ * It may return a Promise if it handles the
+ * notification asynchronously, as the `Controller`
+ * does when executing an asynchronous `ICommand`.
+ */
+export type NotifyMethod = ((notification: INotification) => void) | ((notification: INotification) => Promise<void>);
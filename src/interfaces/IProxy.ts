@@ -48,18 +48,53 @@ export interface IProxy extends INotifier {
      */
     data?: any;
 
+    /**
+     * Whether the asynchronous work of `onRegister` is complete,
+     * set by the `Model`.
+     *
+     * @type {ProxyReadyState | undefined}
+     */
+    readyState?: ProxyReadyState;
+
     /**
      * Called by the Model when the Proxy is registered
      *
-     * @returns {void}
+     * May return a Promise, settling when the Proxy is ready.
+     *
+     * @returns {void | Promise<void>}
      */
-    onRegister(): void;
+    onRegister(): void | Promise<void>;
 
     /**
      * Called by the Model when the Proxy is removed
      *
-     * @returns {void}
+     * May return a Promise, settling when the Proxy is released.
+     *
+     * @returns {void | Promise<void>}
      */
-    onRemove(): void;
+    onRemove(): void | Promise<void>;
 
 }
+
+/**
+ * A `Proxy` class, with the static `NAME` its instances are registered by.
+ *
+ * Lets `IFacade.retrieveProxy` look up, and type, a `Proxy` by its class:
+ *
+ * ```ts
+ * const userProxy: UserProxy | null = facade.retrieveProxy(UserProxy);
+ * ```
+ *
+ * @template T - The type of the proxy.
+ */
+export type ProxyClass<T extends IProxy = IProxy> = (abstract new (...args: any[]) => T) & { NAME: string };
+
+/**
+ * The readiness of an `IProxy` registered with the `Model`.
+ *
+ * - `"pending"`: the Promise returned by `onRegister` has not settled yet.
+ * - `"ready"`: `onRegister` is complete.
+ * - `"failed"`: `onRegister` threw, or the Promise it returned rejected,
+ *   or, once removed, the same happened with `onRemove`.
+ */
+export type ProxyReadyState = "pending" | "ready" | "failed";
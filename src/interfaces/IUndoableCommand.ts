@@ -0,0 +1,39 @@
+//
+//  IUndoableCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand} from "./ICommand";
+import {INotification} from "./INotification";
+
+/**
+ * The interface definition for a PureMVC Command that can be undone.
+ *
+ * An `IUndoableCommand` executed by the `IController` is
+ * recorded in its `ICommandHistory`, which can later undo
+ * and redo it.
+ *
+ * @see {@link ICommandHistory}
+ *
+ * @interface IUndoableCommand
+ * @extends {ICommand}
+ */
+export interface IUndoableCommand<N extends INotification = INotification> extends ICommand<N> {
+
+    /**
+     * Reverse the effects of the last `execute` or `redo`.
+     *
+     * @returns {void}
+     */
+    undo(): void;
+
+    /**
+     * Apply the effects of the last `execute` again, after an `undo`.
+     *
+     * @returns {void}
+     */
+    redo(): void;
+}
@@ -9,6 +9,22 @@
 import {IMediator} from "./IMediator";
 import {INotification} from "./INotification";
 import {IObserver} from "./IObserver";
+import {DuplicatePolicy} from "./IFacade";
+
+/**
+ * How the `IView` handles an error thrown by a notified `IObserver`.
+ *
+ * - `"rethrow"`: stop notifying and rethrow the error.
+ * - `"isolate"`: continue notifying the remaining `IObservers`.
+ * - `"aggregate"`: continue notifying the remaining `IObservers`, then throw an `AggregateError`.
+ */
+export type ObserverErrorPolicy = "rethrow" | "isolate" | "aggregate";
+
+/**
+ * A hook receiving each error thrown by a notified `IObserver`,
+ * along with the `INotification` and the failing `IObserver`.
+ */
+export type ObserverErrorHandler = (error: unknown, notification: INotification, observer: IObserver) => void;
 
 /**
  * `IView` The interface definition for a PureMVC `View`.
@@ -31,11 +47,38 @@ import {IObserver} from "./IObserver";
  */
 export interface IView {
 
+    /**
+     * The policy applied when a notified `IObserver` throws. Defaults to `"rethrow"`.
+     *
+     * @type {ObserverErrorPolicy}
+     */
+    errorPolicy: ObserverErrorPolicy;
+
+    /**
+     * The policy applied when an `IMediator` is registered
+     * under a name already registered. Defaults to `"ignore"`.
+     *
+     * @type {DuplicatePolicy}
+     */
+    duplicatePolicy: DuplicatePolicy;
+
+    /**
+     * A hook receiving each error thrown by a notified `IObserver`.
+     *
+     * @type {ObserverErrorHandler | null}
+     */
+    errorHandler: ObserverErrorHandler | null;
+
     /**
      * Register an `IObserver` to be notified
      * of `INotifications` with a given name.
      *
-     * @param {string} notificationName - The name of the notification to register the observer for.
+     * `IObservers` with a higher `priority` are notified first.
+     *
+     * The name may be a pattern in which each `*` wildcard
+     * matches any sequence of characters, such as `user/*`.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to register the observer for.
      * @param {IObserver} observer - The observer to be registered.
      * @returns {void}
      */
@@ -46,13 +89,44 @@ export interface IView {
      *
      * All previously attached `IObservers` for this `INotification`'s
      * list are notified and are passed a reference to the `INotification` in
-     * the order in which they were registered.
+     * order of priority, then in the order in which they were registered.
      *
      * @param {INotification} notification - the `INotification` to notify `IObservers` of.
      * @returns {void}
      */
     notifyObservers(notification: INotification): void;
 
+    /**
+     * Notify the `IObservers` for a particular `INotification`,
+     * and wait for any asynchronous work they started to complete.
+     *
+     * @param {INotification} notification - the `INotification` to notify `IObservers` of.
+     * @returns {Promise<void>} A Promise that settles when all triggered work is done.
+     */
+    notifyObserversAsync(notification: INotification): Promise<void>;
+
+    /**
+     * Register an `IObserver` to be notified of the next
+     * `INotification` with a given name only.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to register the observer for.
+     * @param {IObserver} observer - The observer to be registered.
+     * @returns {void}
+     */
+    registerObserverOnce(notificationName: string, observer: IObserver): void;
+
+    /**
+     * Register an `IObserver` to be notified of `INotifications`
+     * with a given name a limited number of times, or for a limited time.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to register the observer for.
+     * @param {IObserver} observer - The observer to be registered.
+     * @param {number} [count] - Optional number of notifications after which the observer is removed, greater than zero.
+     * @param {number} [ttl] - Optional time to live in milliseconds, after which the observer is removed.
+     * @returns {void}
+     */
+    registerObserverLimited(notificationName: string, observer: IObserver, count?: number, ttl?: number): void;
+
     /**
      * Remove a group of observers from the observer list for a given Notification name.
      *
@@ -76,9 +150,20 @@ export interface IView {
      *  `IMediator` is interested in.
      *
      * @param {IMediator} mediator - The `IMediator` to be registered.
+     * @param {number} [priority] - Optional delivery priority for the `IMediator`'s `IObserver`.
+     * @returns {void}
+     */
+    registerMediator(mediator: IMediator, priority?: number): void;
+
+    /**
+     * Update the `INotification` interests of a registered `IMediator`,
+     * registering or removing its `IObserver` to match the list
+     * currently returned by its `listNotificationInterests` method.
+     *
+     * @param {string} mediatorName - the name of the `IMediator` instance to update.
      * @returns {void}
      */
-    registerMediator(mediator: IMediator): void;
+    updateMediatorInterests(mediatorName: string): void;
 
     /**
      * Retrieve an `IMediator` from the View.
@@ -103,4 +188,12 @@ export interface IView {
      * @returns {IMediator | null} The removed `IMediator`, or `null` if not found.
      */
     removeMediator(mediatorName: string): IMediator | null;
+
+    /**
+     * Remove every `IMediator`, calling their `onRemove` methods,
+     * and every `IObserver`, and remove the `View` from its Core.
+     *
+     * @returns {void}
+     */
+    dispose(): void;
 }
@@ -0,0 +1,44 @@
+//
+//  AsyncCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand} from "../../interfaces/ICommand";
+import {INotification, NotificationMap} from "../../interfaces/INotification";
+import {Notifier} from "../observer/Notifier";
+
+/**
+ * A base asynchronous `Command` implementation.
+ *
+ * Your subclass must implement the `execute`
+ * method where your business logic will handle the `Notification`,
+ * returning a Promise that settles when that logic is complete.
+ *
+ * The `Controller` returns this Promise to the `View`, so
+ * it can be awaited through `Facade.sendNotificationAsync`,
+ * and an `AsyncMacroCommand` will wait for it before executing
+ * its next `SubCommand`.
+ *
+ * @see {@link Controller}
+ * @see {@link Notification}
+ * @see {@link AsyncMacroCommand}
+ *
+ * @class AsyncCommand
+ * @extends Notifier
+ * @template N - The type of the notifications the command executes, for instance a `NotificationOf` union.
+ * @template M - The notification map of the `Facade` it references.
+ */
+export abstract class AsyncCommand<N extends INotification = INotification, M = NotificationMap> extends Notifier<M> implements ICommand<N> {
+
+    /**
+     * Fulfill the use-case initiated by the given `Notification`.
+     *
+     * @param {N} notification - The notification containing the data or command details to be processed.
+     * @returns {Promise<void>} A Promise that settles when the command is complete.
+     */
+    public abstract execute(notification: N): Promise<void>;
+
+}
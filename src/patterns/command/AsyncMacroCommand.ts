@@ -0,0 +1,201 @@
+//
+//  AsyncMacroCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand, SubCommand} from "../../interfaces/ICommand";
+import {GuardPredicate} from "../../interfaces/IGuard";
+import {INotification} from "../../interfaces/INotification";
+import {SubCommandList} from "./SubCommandList";
+import {AsyncCommand} from "./AsyncCommand";
+
+/**
+ * A base asynchronous `Command` implementation that executes other `Command`s.
+ *
+ * An `AsyncMacroCommand` maintains a list of
+ * `Command` factories called `SubCommands`.
+ *
+ * When `execute` is called, the `AsyncMacroCommand`
+ * instantiates and calls `execute` on each of its `SubCommands` in turn,
+ * waiting for any Promise a `SubCommand` returns to settle before
+ * moving on to the next one. If a `SubCommand` fails, the remaining
+ * `SubCommands` are not executed, and the Promise returned by
+ * `execute` rejects with that failure. If `stopOnFailure` is `false`,
+ * the remaining `SubCommands` are executed, and the Promise rejects
+ * with an `AggregateError` of the failures.
+ *
+ * `SubCommands` may be synchronous or asynchronous `Command`s.
+ * They are kept once executed, so the same `AsyncMacroCommand`
+ * instance may be executed again.
+ *
+ * Unlike `AsyncCommand`, your subclass
+ * should not override `execute`, but instead, should
+ * override the `initializeMacroCommand` method,
+ * calling `addSubCommand` once for each `SubCommand`
+ * to be executed, or `addSubCommandIf` for a `SubCommand`
+ * executed only if a predicate approves the `Notification`.
+ *
+ * @see {@link Controller}
+ * @see {@link Notification}
+ * @see {@link AsyncCommand}
+ * @see {@link MacroCommand}
+ *
+ * @class AsyncMacroCommand
+ * @extends AsyncCommand
+ */
+export class AsyncMacroCommand extends AsyncCommand {
+
+    /** The SubCommands, each with a function returning an instance of ICommand.
+     * @type {SubCommandList} */
+    protected subCommands: SubCommandList;
+
+    /** Whether the first SubCommand failing stops the execution,
+     * otherwise the failures are aggregated once all have executed.
+     * @type {boolean} */
+    protected stopOnFailure: boolean;
+
+    /**
+     * Constructor.
+     *
+     * You should not need to define a constructor,
+     * instead, override the `initializeMacroCommand`
+     * method.
+     *
+     * If your subclass does define a constructor, be
+     * sure to call `super()`.
+     *
+     * The default `stopOnFailure` is set before `initializeMacroCommand`
+     * is called, so that the latter may change it.
+     *
+     * @param {boolean} [stopOnFailure] - Optional default of `stopOnFailure`. Defaults to `true`.
+     */
+    public constructor(stopOnFailure: boolean = true) {
+        super();
+        this.stopOnFailure = stopOnFailure;
+        this.subCommands = new SubCommandList();
+        this.initializeMacroCommand();
+    }
+
+    /**
+     * Initialize the `AsyncMacroCommand`.
+     *
+     * In your subclass, override this method to
+     * initialize the `AsyncMacroCommand`'s `SubCommand`
+     * list with `Command` factories like this:
+     *
+     * ```ts
+     * // Initialize MyAsyncMacroCommand
+     * initializeMacroCommand() {
+     *   this.addSubCommand(() => new app.LoadConfigCommand());
+     *   this.addSubCommand(() => new app.OpenDatabaseCommand());
+     * }
+     * ```
+     */
+    public initializeMacroCommand(): void {
+
+    }
+
+    /**
+     * Add a `SubCommand`.
+     *
+     * The `SubCommands` will be called in First In/First Out (FIFO)
+     * order.
+     *
+     * @param {() => ICommand} factory - A factory function that creates an instance of ICommand. This function will be used to generate the sub-command.
+     * @returns {void}
+     */
+    protected addSubCommand(factory: () => ICommand): void {
+        this.subCommands.add(factory);
+    }
+
+    /**
+     * Add a `SubCommand` executed only if a predicate
+     * approves the `Notification`.
+     *
+     * The predicate is called when the `SubCommand` is reached,
+     * so it sees the effects of the `SubCommands` before it.
+     *
+     * @param {GuardPredicate} predicate - A predicate receiving the notification and the facade.
+     * @param {() => ICommand} factory - A factory function that creates an instance of ICommand.
+     * @returns {void}
+     */
+    protected addSubCommandIf(predicate: GuardPredicate, factory: () => ICommand): void {
+        this.subCommands.add(factory, predicate);
+    }
+
+    /**
+     * Get the factories of the `SubCommands`, in the order
+     * of their addition, including the conditional ones.
+     *
+     * @returns {(() => ICommand)[]} A copy of the sub-command factories.
+     */
+    public get subCommandFactories(): (() => ICommand)[] {
+        return this.subCommands.factories;
+    }
+
+    /**
+     * Execute this `AsyncMacroCommand`'s `SubCommands`.
+     *
+     * The `SubCommands` will be called in First In/First Out (FIFO)
+     * order, each one waiting for the previous one to complete.
+     *
+     * @param {INotification} notification - The notification containing the data or command details to be processed.
+     * @returns {Promise<void>} A Promise that settles when all `SubCommands` are complete.
+     */
+    public override async execute(notification: INotification): Promise<void> {
+        // execute a snapshot, leaving the SubCommands to execute again
+        const subCommands: SubCommand[] = this.subCommands.snapshot();
+        const errors: unknown[] = [];
+        for (let i: number = 0; i < subCommands.length; i++) {
+            const command: ICommand | null = this.createSubCommand(subCommands[i], notification);
+            if (command == null) continue;
+
+            try {
+                await this.executeSubCommand(command, notification);
+            } catch (error) {
+                if (this.stopOnFailure) throw error;
+                errors.push(error);
+            }
+        }
+        if (errors.length > 0) throw this.aggregateErrors(errors, notification);
+    }
+
+    /**
+     * Create a `SubCommand`, if its predicate, if any,
+     * approves the `Notification`, and inject the
+     * dependencies of its `inject` map.
+     *
+     * @param {SubCommand} subCommand - The sub-command to create.
+     * @param {INotification} notification - The notification passed to the `AsyncMacroCommand`.
+     * @returns {ICommand | null} The sub-command, or `null` if its predicate rejects the notification.
+     */
+    protected createSubCommand(subCommand: SubCommand, notification: INotification): ICommand | null {
+        return this.subCommands.create(subCommand, notification, this.facade, this.multitonKey);
+    }
+
+    /**
+     * Execute a `SubCommand`.
+     *
+     * @param {ICommand} command - The sub-command to execute.
+     * @param {INotification} notification - The notification passed to the `AsyncMacroCommand`.
+     * @returns {Promise<void>} A Promise that settles when the sub-command is complete.
+     */
+    protected async executeSubCommand(command: ICommand, notification: INotification): Promise<void> {
+        await command.execute(notification);
+    }
+
+    /**
+     * Combine the failures of the `SubCommands` into an `AggregateError`.
+     *
+     * @param {unknown[]} errors - The failures.
+     * @param {INotification} notification - The notification passed to the `AsyncMacroCommand`.
+     * @returns {AggregateError} The combined error.
+     */
+    protected aggregateErrors(errors: unknown[], notification: INotification): AggregateError {
+        return this.subCommands.aggregateErrors(errors, notification);
+    }
+
+}
@@ -0,0 +1,141 @@
+//
+//  CommandHistory.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand} from "../../interfaces/ICommand";
+import {ICommandHistory} from "../../interfaces/ICommandHistory";
+import {IUndoableCommand} from "../../interfaces/IUndoableCommand";
+
+/**
+ * A history of executed `UndoableCommand`s.
+ *
+ * The `Controller` keeps a `CommandHistory`, recording each
+ * undoable `Command` it executes, and walks it when the
+ * `Controller.UNDO` and `Controller.REDO` notifications are sent.
+ *
+ * Executing a new command discards the commands undone,
+ * and the oldest commands are forgotten beyond `limit`.
+ *
+ * @see {@link UndoableCommand}
+ * @see {@link Controller}
+ *
+ * @class CommandHistory
+ */
+export class CommandHistory implements ICommandHistory {
+
+    /**
+     * The default maximum number of commands recorded.
+     *
+     * @type {number}
+     */
+    public static LIMIT: number = 100;
+
+    /** the maximum number of commands recorded
+     * @type {number} */
+    protected readonly limit: number;
+
+    /** the commands executed or redone, the most recent last
+     * @type {IUndoableCommand[]} */
+    private undoStack: IUndoableCommand[] = [];
+
+    /** the commands undone, the most recently undone last
+     * @type {IUndoableCommand[]} */
+    private redoStack: IUndoableCommand[] = [];
+
+    /**
+     * Constructor.
+     *
+     * @param {number} [limit] - The maximum number of commands recorded. Defaults to `CommandHistory.LIMIT`.
+     */
+    public constructor(limit?: number) {
+        this.limit = limit ?? CommandHistory.LIMIT;
+    }
+
+    /**
+     * Check if a command can be undone and redone.
+     *
+     * @param {ICommand} command - The command to check.
+     * @returns {boolean} `true` if the command has `undo` and `redo` methods; otherwise, `false`.
+     */
+    public static isUndoable(command: ICommand): command is IUndoableCommand {
+        const undoable = command as Partial<IUndoableCommand>;
+        return typeof undoable.undo == "function" && typeof undoable.redo == "function";
+    }
+
+    /**
+     * Whether there is a command to undo
+     *
+     * @returns {boolean} `true` if a command can be undone; otherwise, `false`.
+     */
+    public get canUndo(): boolean {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone command to redo
+     *
+     * @returns {boolean} `true` if a command can be redone; otherwise, `false`.
+     */
+    public get canRedo(): boolean {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Record an executed command, discarding the undone ones.
+     *
+     * @param {IUndoableCommand} command - The command executed.
+     * @returns {void}
+     */
+    public record(command: IUndoableCommand): void {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the last command executed or redone.
+     *
+     * @returns {boolean} `true` if a command was undone; otherwise, `false`.
+     */
+    public undo(): boolean {
+        const command: IUndoableCommand | undefined = this.undoStack[this.undoStack.length - 1];
+        if (command == null) return false;
+
+        // the command is only moved once undo succeeded, so that it can be retried
+        command.undo();
+        this.undoStack.pop();
+        this.redoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Redo the last command undone.
+     *
+     * @returns {boolean} `true` if a command was redone; otherwise, `false`.
+     */
+    public redo(): boolean {
+        const command: IUndoableCommand | undefined = this.redoStack[this.redoStack.length - 1];
+        if (command == null) return false;
+
+        // the command is only moved once redo succeeded, so that it can be retried
+        command.redo();
+        this.redoStack.pop();
+        this.undoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Forget every recorded command.
+     *
+     * @returns {void}
+     */
+    public clear(): void {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+}
@@ -0,0 +1,74 @@
+//
+//  Guard.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {CommandGuard, GuardClass, GuardPredicate, IGuard} from "../../interfaces/IGuard";
+import {INotification, NotificationMap} from "../../interfaces/INotification";
+import {Notifier} from "../observer/Notifier";
+
+/**
+ * A base `Guard` implementation.
+ *
+ * Your subclass should override the `approve` method,
+ * where it may retrieve the `Proxy`s it needs from the `Facade`:
+ *
+ * ```ts
+ * class LoggedInGuard extends Guard {
+ *   public approve(notification: INotification): boolean {
+ *     return this.facade.requireProxy(SessionProxy).loggedIn;
+ *   }
+ * }
+ * ```
+ *
+ * A `Guard` may also be constructed with a predicate,
+ * which receives the `Notification` and the `Facade`.
+ *
+ * @see {@link Controller}
+ * @see {@link SimpleCommand}
+ *
+ * @class Guard
+ * @extends Notifier
+ * @template M - The notification map of the `Facade` it references.
+ */
+export class Guard<M = NotificationMap> extends Notifier<M> implements IGuard {
+
+    /** the predicate deciding, if any
+     * @type {GuardPredicate | undefined} */
+    private readonly predicate?: GuardPredicate;
+
+    /**
+     * Constructor.
+     *
+     * @param {GuardPredicate} [predicate] - Optional predicate deciding whether the command may execute.
+     */
+    public constructor(predicate?: GuardPredicate) {
+        super();
+        this.predicate = predicate;
+    }
+
+    /**
+     * Create the `IGuard` of a guard declared by a `Command`.
+     *
+     * @param {CommandGuard} guard - A predicate, or a class of `IGuard`.
+     * @returns {IGuard} A `Guard` of the predicate, or a new instance of the class.
+     */
+    public static create(guard: CommandGuard): IGuard {
+        if (typeof guard.prototype?.approve == "function") return new (guard as GuardClass)();
+        return new Guard(guard as GuardPredicate);
+    }
+
+    /**
+     * Decide whether the `Command` may handle the given `Notification`.
+     *
+     * @param {INotification} notification - The notification about to be executed.
+     * @returns {boolean} The result of the predicate, or `true` if there is none.
+     */
+    public approve(notification: INotification): boolean {
+        return this.predicate == null || this.predicate(notification, this.facade);
+    }
+
+}
@@ -6,8 +6,10 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {ICommand} from "../../interfaces/ICommand";
+import {ICommand, SubCommand} from "../../interfaces/ICommand";
+import {GuardPredicate} from "../../interfaces/IGuard";
 import {INotification} from "../../interfaces/INotification";
+import {SubCommandList} from "./SubCommandList";
 import {SimpleCommand} from "./SimpleCommand";
 
 /**
@@ -26,7 +28,16 @@ import {SimpleCommand} from "./SimpleCommand";
  * should not override `execute`, but instead, should
  * override the `initializeMacroCommand` method,
  * calling `addSubCommand` once for each `SubCommand`
- * to be executed.
+ * to be executed, or `addSubCommandIf` for a `SubCommand`
+ * executed only if a predicate approves the `Notification`.
+ *
+ * If a `SubCommand` throws, the remaining `SubCommands`
+ * are not executed, unless `stopOnFailure` is `false`.
+ * `SubCommands` must be synchronous, use an `AsyncMacroCommand`
+ * to execute asynchronous ones.
+ *
+ * The `SubCommands` are kept once executed, so the same
+ * `MacroCommand` instance may be executed again.
  *
  * @see {@link Controller}
  * @see {@link Notification}
@@ -37,9 +48,14 @@ import {SimpleCommand} from "./SimpleCommand";
  */
 export class MacroCommand extends SimpleCommand {
 
-    /** An array of functions, each of which returns an instance of ICommand.
-     * @type {(() => ICommand)[]} */
-    private subCommands: (() => ICommand)[];
+    /** The SubCommands, each with a function returning an instance of ICommand.
+     * @type {SubCommandList} */
+    protected subCommands: SubCommandList;
+
+    /** Whether the first SubCommand throwing stops the execution,
+     * otherwise the errors are thrown together once all have executed.
+     * @type {boolean} */
+    protected stopOnFailure: boolean = true;
 
     /**
      * Constructor.
@@ -54,7 +70,7 @@ export class MacroCommand extends SimpleCommand {
      */
     public constructor() {
         super();
-        this.subCommands = [];
+        this.subCommands = new SubCommandList();
         this.initializeMacroCommand();
     }
 
@@ -92,7 +108,32 @@ export class MacroCommand extends SimpleCommand {
      * @returns {void}
      */
     protected addSubCommand(factory: () => ICommand): void {
-        this.subCommands.push(factory);
+        this.subCommands.add(factory);
+    }
+
+    /**
+     * Add a `SubCommand` executed only if a predicate
+     * approves the `Notification`.
+     *
+     * The predicate is called when the `SubCommand` is reached,
+     * so it sees the effects of the `SubCommands` before it.
+     *
+     * @param {GuardPredicate} predicate - A predicate receiving the notification and the facade.
+     * @param {() => ICommand} factory - A factory function that creates an instance of ICommand.
+     * @returns {void}
+     */
+    protected addSubCommandIf(predicate: GuardPredicate, factory: () => ICommand): void {
+        this.subCommands.add(factory, predicate);
+    }
+
+    /**
+     * Get the factories of the `SubCommands`, in the order
+     * of their addition, including the conditional ones.
+     *
+     * @returns {(() => ICommand)[]} A copy of the sub-command factories.
+     */
+    public get subCommandFactories(): (() => ICommand)[] {
+        return this.subCommands.factories;
     }
 
     /**
@@ -103,15 +144,67 @@ export class MacroCommand extends SimpleCommand {
      *
      * @param {INotification} notification - The notification containing the data or command details to be processed.
      * @returns {void}
+     * @throws {AggregateError} The errors thrown by the `SubCommands`, if `stopOnFailure` is `false`.
      */
     public execute(notification: INotification): void {
-        while (this.subCommands.length > 0) {
-            const factory: (() => ICommand) | undefined = this.subCommands.shift();
-            const command: ICommand | undefined = factory?.();
-            if (command) {
-                command.execute(notification);
+        // execute a snapshot, leaving the SubCommands to execute again
+        const subCommands: SubCommand[] = this.subCommands.snapshot();
+        const errors: unknown[] = [];
+        for (let i: number = 0; i < subCommands.length; i++) {
+            const command: ICommand | null = this.createSubCommand(subCommands[i], notification);
+            if (command == null) continue;
+
+            try {
+                this.executeSubCommand(command, notification);
+            } catch (error) {
+                if (this.stopOnFailure) throw error;
+                errors.push(error);
             }
         }
+        if (errors.length > 0) throw this.aggregateErrors(errors, notification);
+    }
+
+    /**
+     * Create a `SubCommand`, if its predicate, if any,
+     * approves the `Notification`, and inject the
+     * dependencies of its `inject` map.
+     *
+     * @param {SubCommand} subCommand - The sub-command to create.
+     * @param {INotification} notification - The notification passed to the `MacroCommand`.
+     * @returns {ICommand | null} The sub-command, or `null` if its predicate rejects the notification.
+     */
+    protected createSubCommand(subCommand: SubCommand, notification: INotification): ICommand | null {
+        return this.subCommands.create(subCommand, notification, this.facade, this.multitonKey);
+    }
+
+    /**
+     * Execute a `SubCommand`.
+     *
+     * Called by `execute` for each `SubCommand`, in order.
+     *
+     * @param {ICommand} command - The sub-command to execute.
+     * @param {INotification} notification - The notification passed to the `MacroCommand`.
+     * @returns {void}
+     * @throws {Error} Error if the sub-command is asynchronous.
+     */
+    protected executeSubCommand(command: ICommand, notification: INotification): void {
+        const result: void | Promise<void> = command.execute(notification);
+        if (result instanceof Promise) {
+            // nobody can wait for the sub-command, its failure is replaced by the error thrown
+            result.catch(() => undefined);
+            throw Error(`SubCommand ${command.constructor.name} of ${this.constructor.name} is asynchronous, use an AsyncMacroCommand to execute it`);
+        }
+    }
+
+    /**
+     * Combine the errors thrown by the `SubCommands` into an `AggregateError`.
+     *
+     * @param {unknown[]} errors - The errors thrown.
+     * @param {INotification} notification - The notification passed to the `MacroCommand`.
+     * @returns {AggregateError} The combined error.
+     */
+    protected aggregateErrors(errors: unknown[], notification: INotification): AggregateError {
+        return this.subCommands.aggregateErrors(errors, notification);
     }
 
 }
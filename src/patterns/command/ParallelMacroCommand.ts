@@ -0,0 +1,83 @@
+//
+//  ParallelMacroCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand, SubCommand} from "../../interfaces/ICommand";
+import {INotification} from "../../interfaces/INotification";
+import {AsyncMacroCommand} from "./AsyncMacroCommand";
+
+/**
+ * An asynchronous `Command` executing its `SubCommands` concurrently.
+ *
+ * When `execute` is called, the `ParallelMacroCommand` creates
+ * each of its `SubCommands` whose predicate, if any, approves the
+ * `Notification`, then executes them all without waiting for one
+ * another. The Promise returned by `execute` settles when they are
+ * all complete, and rejects with an `AggregateError` of their failures.
+ *
+ * If `stopOnFailure` is `true`, the Promise rejects as soon as
+ * a `SubCommand` fails, with that failure, while the other
+ * `SubCommands` keep running.
+ *
+ * ```ts
+ * initializeMacroCommand() {
+ *   this.addSubCommand(() => new LoadUserCommand());
+ *   this.addSubCommand(() => new LoadSettingsCommand());
+ *   this.addSubCommandIf(notification => notification.body.admin, () => new LoadAuditCommand());
+ * }
+ * ```
+ *
+ * @see {@link AsyncMacroCommand}
+ *
+ * @class ParallelMacroCommand
+ * @extends AsyncMacroCommand
+ */
+export class ParallelMacroCommand extends AsyncMacroCommand {
+
+    /**
+     * Constructor.
+     *
+     * `stopOnFailure` defaults to `false`, so that the failures
+     * are aggregated once all the `SubCommands` are complete.
+     * Set it in `initializeMacroCommand` to reject at once.
+     */
+    public constructor() {
+        super(false);
+    }
+
+    /**
+     * Execute this `ParallelMacroCommand`'s `SubCommands` concurrently.
+     *
+     * @param {INotification} notification - The notification containing the data or command details to be processed.
+     * @returns {Promise<void>} A Promise that settles when all `SubCommands` are complete.
+     */
+    public override async execute(notification: INotification): Promise<void> {
+        // create every SubCommand first, so the predicates see the same state
+        const subCommands: SubCommand[] = this.subCommands.snapshot();
+        const commands: ICommand[] = [];
+        for (let i: number = 0; i < subCommands.length; i++) {
+            const command: ICommand | null = this.createSubCommand(subCommands[i], notification);
+            if (command != null) commands.push(command);
+        }
+
+        const promises: Promise<void>[] = commands.map((command: ICommand) => this.executeSubCommand(command, notification));
+
+        if (this.stopOnFailure) {
+            await Promise.all(promises);
+            return;
+        }
+
+        const results: PromiseSettledResult<void>[] = await Promise.allSettled(promises);
+        const errors: unknown[] = [];
+        for (let i: number = 0; i < results.length; i++) {
+            const result: PromiseSettledResult<void> = results[i];
+            if (result.status == "rejected") errors.push(result.reason);
+        }
+        if (errors.length > 0) throw this.aggregateErrors(errors, notification);
+    }
+
+}
@@ -7,7 +7,7 @@
 //
 
 import {ICommand} from "../../interfaces/ICommand";
-import {INotification} from "../../interfaces/INotification";
+import {INotification, NotificationMap} from "../../interfaces/INotification";
 import {Notifier} from "../observer/Notifier";
 
 /**
@@ -22,8 +22,10 @@ import {Notifier} from "../observer/Notifier";
  *
  * @class SimpleCommand
  * @extends Notifier
+ * @template N - The type of the notifications the command executes, for instance a `NotificationOf` union.
+ * @template M - The notification map of the `Facade` it references.
  */
-export class SimpleCommand extends Notifier implements ICommand {
+export class SimpleCommand<N extends INotification = INotification, M = NotificationMap> extends Notifier<M> implements ICommand<N> {
 
     /**
      * Fulfill the use-case initiated by the given `Notification`.
@@ -33,10 +35,10 @@ export class SimpleCommand extends Notifier implements ICommand {
      * is handled by business logic in the `execute` method of an
      * `Command`.
      *
-     * @param {INotification} notification - The notification containing the data or command details to be processed.
+     * @param {N} notification - The notification containing the data or command details to be processed.
      * @returns {void}
      */
-    public execute(notification: INotification): void {
+    public execute(notification: N): void {
 
     }
 
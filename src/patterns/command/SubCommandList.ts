@@ -0,0 +1,96 @@
+//
+//  SubCommandList.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand, SubCommand} from "../../interfaces/ICommand";
+import {IFacade} from "../../interfaces/IFacade";
+import {GuardPredicate} from "../../interfaces/IGuard";
+import {INotification} from "../../interfaces/INotification";
+import {Injector} from "../facade/Injector";
+
+/**
+ * The list of `SubCommands` of a macro command.
+ *
+ * `MacroCommand` and `AsyncMacroCommand` keep their `SubCommands`
+ * in a `SubCommandList`, which adds and creates them, while each
+ * macro command decides how to execute them.
+ *
+ * @see {@link MacroCommand}
+ * @see {@link AsyncMacroCommand}
+ *
+ * @class SubCommandList
+ */
+export class SubCommandList {
+
+    /** The SubCommands, in the order of their addition
+     * @type {SubCommand[]} */
+    private readonly subCommands: SubCommand[] = [];
+
+    /**
+     * Add a `SubCommand`, executed only if its predicate,
+     * if any, approves the `Notification`.
+     *
+     * @param {() => ICommand} factory - A factory function that creates an instance of ICommand.
+     * @param {GuardPredicate} [predicate] - Optional predicate receiving the notification and the facade.
+     * @returns {void}
+     */
+    public add(factory: () => ICommand, predicate?: GuardPredicate): void {
+        this.subCommands.push(predicate == null ? {factory} : {factory, predicate});
+    }
+
+    /**
+     * Get the factories of the `SubCommands`, in the order
+     * of their addition, including the conditional ones.
+     *
+     * @returns {(() => ICommand)[]} A copy of the sub-command factories.
+     */
+    public get factories(): (() => ICommand)[] {
+        return this.subCommands.map((subCommand: SubCommand) => subCommand.factory);
+    }
+
+    /**
+     * Get a snapshot of the `SubCommands`, so that
+     * adding one while executing them has no effect.
+     *
+     * @returns {SubCommand[]} A copy of the sub-commands.
+     */
+    public snapshot(): SubCommand[] {
+        return this.subCommands.slice();
+    }
+
+    /**
+     * Create a `SubCommand`, if its predicate, if any,
+     * approves the `Notification`, and inject the
+     * dependencies of its `inject` map.
+     *
+     * @param {SubCommand} subCommand - The sub-command to create.
+     * @param {INotification} notification - The notification passed to the macro command.
+     * @param {IFacade<any>} facade - The facade passed to the predicate.
+     * @param {string} key - The multiton key of the Core of the macro command.
+     * @returns {ICommand | null} The sub-command, or `null` if its predicate rejects the notification.
+     */
+    public create(subCommand: SubCommand, notification: INotification, facade: IFacade<any>, key: string): ICommand | null {
+        if (subCommand.predicate != null && !subCommand.predicate(notification, facade)) return null;
+
+        const command: ICommand = subCommand.factory();
+        command.initializeNotifier(key);
+        new Injector(key).inject(command);
+        return command;
+    }
+
+    /**
+     * Combine the failures of the `SubCommands` into an `AggregateError`.
+     *
+     * @param {unknown[]} errors - The failures.
+     * @param {INotification} notification - The notification passed to the macro command.
+     * @returns {AggregateError} The combined error.
+     */
+    public aggregateErrors(errors: unknown[], notification: INotification): AggregateError {
+        return new AggregateError(errors, `${errors.length} sub-command(s) failed to handle Notification ${notification.name}`);
+    }
+
+}
@@ -0,0 +1,87 @@
+//
+//  UndoableCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {INotification} from "../../interfaces/INotification";
+import {IUndoableCommand} from "../../interfaces/IUndoableCommand";
+import {SimpleCommand} from "./SimpleCommand";
+
+/**
+ * A base `Command` implementation that can be undone.
+ *
+ * Your subclass should not override `execute`, but instead
+ * implement `executeCommand` and `undo`. The `Notification`
+ * executed is kept, and `redo` executes it again:
+ *
+ * ```ts
+ * class RenameCommand extends UndoableCommand {
+ *   private previous?: string;
+ *
+ *   protected executeCommand(notification: INotification): void {
+ *     this.previous = this.documentProxy.title;
+ *     this.documentProxy.title = notification.body;
+ *   }
+ *
+ *   public undo(): void {
+ *     this.documentProxy.title = this.previous;
+ *   }
+ * }
+ * ```
+ *
+ * The `Controller` records each `UndoableCommand` it executes
+ * in its `CommandHistory`.
+ *
+ * @see {@link CommandHistory}
+ * @see {@link UndoableMacroCommand}
+ *
+ * @class UndoableCommand
+ * @extends SimpleCommand
+ */
+export abstract class UndoableCommand extends SimpleCommand implements IUndoableCommand {
+
+    /** the notification executed
+     * @type {INotification | undefined} */
+    protected notification?: INotification;
+
+    /**
+     * Keep the `Notification` and execute the command.
+     *
+     * @param {INotification} notification - The notification containing the data or command details to be processed.
+     * @returns {void}
+     */
+    public override execute(notification: INotification): void {
+        this.notification = notification;
+        this.executeCommand(notification);
+    }
+
+    /**
+     * Fulfill the use-case initiated by the given `Notification`.
+     *
+     * Called by `execute`, and by `redo` with the same `Notification`.
+     *
+     * @param {INotification} notification - The notification containing the data or command details to be processed.
+     * @returns {void}
+     */
+    protected abstract executeCommand(notification: INotification): void;
+
+    /**
+     * Reverse the effects of the last `execute` or `redo`.
+     *
+     * @returns {void}
+     */
+    public abstract undo(): void;
+
+    /**
+     * Execute the kept `Notification` again, after an `undo`.
+     *
+     * @returns {void}
+     */
+    public redo(): void {
+        if (this.notification != null) this.executeCommand(this.notification);
+    }
+
+}
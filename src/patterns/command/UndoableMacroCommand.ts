@@ -0,0 +1,107 @@
+//
+//  UndoableMacroCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ICommand} from "../../interfaces/ICommand";
+import {INotification} from "../../interfaces/INotification";
+import {IUndoableCommand} from "../../interfaces/IUndoableCommand";
+import {CommandHistory} from "./CommandHistory";
+import {MacroCommand} from "./MacroCommand";
+
+/**
+ * A `MacroCommand` of undoable `SubCommand`s, which can itself be undone.
+ *
+ * `undo` undoes the `SubCommand`s executed in reverse order,
+ * and `redo` redoes them in their original order.
+ *
+ * If a `SubCommand` throws, the `SubCommand`s already executed
+ * are undone before the error is rethrown, since the macro,
+ * having failed, is not recorded in the `CommandHistory`.
+ *
+ * ```ts
+ * initializeMacroCommand() {
+ *   this.addSubCommand(() => new CreateLayerCommand());
+ *   this.addSubCommand(() => new DrawShapeCommand());
+ * }
+ * ```
+ *
+ * @see {@link UndoableCommand}
+ * @see {@link CommandHistory}
+ *
+ * @class UndoableMacroCommand
+ * @extends MacroCommand
+ */
+export class UndoableMacroCommand extends MacroCommand implements IUndoableCommand {
+
+    /** the sub-commands executed, in order
+     * @type {IUndoableCommand[]} */
+    private executedCommands: IUndoableCommand[] = [];
+
+    /**
+     * Add an undoable `SubCommand`.
+     *
+     * @param {() => IUndoableCommand} factory - A factory function that creates an instance of IUndoableCommand.
+     * @returns {void}
+     */
+    protected override addSubCommand(factory: () => IUndoableCommand): void {
+        super.addSubCommand(factory);
+    }
+
+    /**
+     * Execute the `SubCommand`s, forgetting those of a previous execution.
+     *
+     * @param {INotification} notification - The notification containing the data or command details to be processed.
+     * @returns {void}
+     * @throws {Error} The failure of a `SubCommand`, once the ones executed have been undone.
+     */
+    public override execute(notification: INotification): void {
+        this.executedCommands = [];
+        try {
+            super.execute(notification);
+        } catch (error) {
+            // roll back the SubCommands executed, which could not be undone otherwise
+            this.undo();
+            this.executedCommands = [];
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a `SubCommand`, and remember it to undo it.
+     *
+     * @param {ICommand} command - The sub-command to execute.
+     * @param {INotification} notification - The notification passed to the `MacroCommand`.
+     * @returns {void}
+     */
+    protected override executeSubCommand(command: ICommand, notification: INotification): void {
+        super.executeSubCommand(command, notification);
+        if (CommandHistory.isUndoable(command)) this.executedCommands.push(command);
+    }
+
+    /**
+     * Undo the `SubCommand`s executed, in reverse order.
+     *
+     * @returns {void}
+     */
+    public undo(): void {
+        for (let i: number = this.executedCommands.length - 1; i >= 0; i--) {
+            this.executedCommands[i].undo();
+        }
+    }
+
+    /**
+     * Redo the `SubCommand`s undone, in their original order.
+     *
+     * @returns {void}
+     */
+    public redo(): void {
+        for (let i: number = 0; i < this.executedCommands.length; i++) {
+            this.executedCommands[i].redo();
+        }
+    }
+
+}
@@ -6,41 +6,69 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {IController} from "../../interfaces/IController";
+import {CommandMiddleware, IController} from "../../interfaces/IController";
 import {IModel} from "../../interfaces/IModel";
 import {IView} from "../../interfaces/IView";
 import {ICommand} from "../../interfaces/ICommand";
-import {IFacade} from "../../interfaces/IFacade";
-import {IMediator} from "../../interfaces/IMediator";
-import {INotification} from "../../interfaces/INotification";
-import {IProxy} from "../../interfaces/IProxy";
+import {DuplicatePolicy, IFacade, WaitForOptions} from "../../interfaces/IFacade";
+import {StreamOptions} from "../../interfaces/INotificationStream";
+import {IMediator, MediatorClass} from "../../interfaces/IMediator";
+import {INotification, NotificationArgs, NotificationMap, NotificationOf} from "../../interfaces/INotification";
+import {IProxy, ProxyClass} from "../../interfaces/IProxy";
+import {IObserver} from "../../interfaces/IObserver";
 import {Controller} from "../../core/Controller";
 import {Model} from "../../core/Model";
 import {View} from "../../core/View";
 import {Notification} from "../observer/Notification";
+import {Observer} from "../observer/Observer";
+import {NotificationStream} from "../observer/NotificationStream";
 
 /**
- * A base Singleton `Facade` implementation.
+ * A base Multiton `Facade` implementation.
+ *
+ * Each `Facade` is the entry point of a Core, an isolated
+ * `Model`, `View` and `Controller` triad addressed by a
+ * multiton key. Several Cores, for instance an application
+ * and an embedded widget, can coexist:
+ *
+ * ```ts
+ * const facade = Facade.getInstance("Widget", (key: string) => new Facade(key));
+ * // ...
+ * Facade.removeCore("Widget");
+ * ```
+ *
+ * A `NotificationMap` may be given, so that the names and bodies
+ * of the notifications sent, and the notifications received by
+ * `Command`s, are checked at compile time. It has no runtime cost.
  *
  * @see {@link Model}
  * @see {@link View}
  * @see {@link Controller}
  *
  * @class Facade
+ * @template M - The notification map of the Core.
  */
-export class Facade implements IFacade {
+export class Facade<M = NotificationMap> implements IFacade<M> {
 
     /** Message Constants
      * @type {string} */
-    protected static SINGLETON_MSG: string = "Facade Singleton already constructed!";
+    protected static MULTITON_MSG: string = "Facade instance for this Multiton key already constructed!";
+
+    /** The key of the Core used when none is given
+     * @type {string} */
+    public static DEFAULT_KEY: string = "PureMVC";
 
     /**
-     * Singleton instance
+     * Multiton instances
      *
-     * @type {IFacade}
+     * @type {{ [key: string]: IFacade<any> }}
      * @protected
      */
-    protected static instance: IFacade;
+    protected static instanceMap: { [key: string]: IFacade<any> } = {};
+
+    /** The Multiton Key for this Core
+     * @type {string} */
+    protected multitonKey: string = Facade.DEFAULT_KEY;
 
     /** Reference to Controller
      * @type {IController | undefined} */
@@ -57,21 +85,24 @@ export class Facade implements IFacade {
     /**
      * Constructor.
      *
-     * This `Facade` implementation is a Singleton,
+     * This `Facade` implementation is a Multiton,
      * so you should not call the constructor
      * directly, but instead call the static Factory method,
-     * `Facade.getInstance()`
+     * passing the unique key for this instance
+     * `Facade.getInstance(multitonKey)`
      *
-     * @throws {Error} Error if instance for this Singleton instance has already been constructed
+     * @param {string} [key] - The multiton key of the Core. Defaults to `Facade.DEFAULT_KEY`.
+     * @throws {Error} Error if instance for this Multiton key has already been constructed
      */
-    public constructor() {
-        if (Facade.instance != null) throw Error(Facade.SINGLETON_MSG);
-        Facade.instance = this;
+    public constructor(key: string = Facade.DEFAULT_KEY) {
+        if (Facade.instanceMap[key] != null) throw Error(Facade.MULTITON_MSG);
+        this.initializeNotifier(key);
+        Facade.instanceMap[key] = this as IFacade<any>;
         this.initializeFacade();
     }
 
     /**
-     * Initialize the Singleton `Facade` instance.
+     * Initialize the Multiton `Facade` instance.
      *
      * Called automatically by the constructor. Override in your
      * subclass to do any subclass specific initializations. Be
@@ -86,14 +117,70 @@ export class Facade implements IFacade {
     }
 
     /**
-     * Facade Singleton Factory method
+     * Facade Multiton Factory method
+     *
+     * Called with a factory only, returns the `Facade`
+     * of the Core with the key `Facade.DEFAULT_KEY`.
+     *
+     * @param {string} key - The multiton key of the Core.
+     * @param {(key: string) => IFacade<M>} factory - A factory function that creates a new instance of the facade if one does not already exist for the key.
+     * @returns {IFacade<M>} the Multiton instance of the Facade
+     */
+    public static getInstance<M = NotificationMap>(factory: (key: string) => IFacade<M>): IFacade<M>;
+    public static getInstance<M = NotificationMap>(key: string, factory: (key: string) => IFacade<M>): IFacade<M>;
+    public static getInstance<M = NotificationMap>(key: string | ((key: string) => IFacade<M>), factory?: (key: string) => IFacade<M>): IFacade<M> {
+        if (typeof key != "string") [key, factory] = [Facade.DEFAULT_KEY, key];
+        if (Facade.instanceMap[key] == null)
+            Facade.instanceMap[key] = (factory as (key: string) => IFacade<M>)(key);
+        return Facade.instanceMap[key];
+    }
+
+    /**
+     * Check if a Core is registered or not
+     *
+     * @param {string} key - The multiton key for the Core in question.
+     * @returns {boolean} `true` if a Core is registered with the given key; otherwise, `false`.
+     */
+    public static hasCore(key: string): boolean {
+        return Facade.instanceMap[key] != null;
+    }
+
+    /**
+     * Remove a Core.
      *
-     * @returns {IFacade} the Singleton instance of the Facade
+     * Remove the `Model`, `View`, `Controller` and `Facade`
+     * instances for the given key. Registered actors are not
+     * notified, call `dispose` on the `Facade` to tear them down.
+     *
+     * @param {string} key - The multiton key of the Core to remove.
+     * @returns {void}
      */
-    public static getInstance(factory: () => IFacade): IFacade {
-        if (Facade.instance == null)
-            Facade.instance = factory();
-        return Facade.instance;
+    public static removeCore(key: string): void {
+        if (Facade.instanceMap[key] == null) return;
+        Model.removeModel(key);
+        View.removeView(key);
+        Controller.removeController(key);
+        delete Facade.instanceMap[key];
+    }
+
+    /**
+     * Tear down every Core.
+     *
+     * Calls `dispose` on the `Facade` of each Core, for instance
+     * between tests, so that fresh Cores can be built. Then disposes
+     * the `Controller`, `View` and `Model` instances created without
+     * a `Facade`, so that every Multiton is cleared.
+     *
+     * @returns {void}
+     */
+    public static resetAll(): void {
+        for (const key in Facade.instanceMap) {
+            Facade.instanceMap[key].dispose();
+        }
+        Facade.instanceMap = {};
+        Controller.disposeAll();
+        View.disposeAll();
+        Model.disposeAll();
     }
 
     /**
@@ -120,7 +207,7 @@ export class Facade implements IFacade {
      * @returns {void}
      */
     protected initializeModel(): void {
-        this.model = Model.getInstance(() => new Model());
+        this.model = Model.getInstance(this.multitonKey, (key: string) => new Model(key));
     }
 
     /**
@@ -140,7 +227,7 @@ export class Facade implements IFacade {
      * @returns {void}
      */
     protected initializeController(): void {
-        this.controller = Controller.getInstance(() => new Controller());
+        this.controller = Controller.getInstance(this.multitonKey, (key: string) => new Controller(key));
     }
 
     /**
@@ -166,38 +253,83 @@ export class Facade implements IFacade {
      * @returns {void}
      */
     protected initializeView(): void {
-        this.view = View.getInstance(() => new View());
+        this.view = View.getInstance(this.multitonKey, (key: string) => new View(key));
     }
 
     /**
      * Register a `Command` with the `Controller` by Notification name.     *
      *
-     * @param {string} notificationName - The name of the notification to associate with the command.
-     * @param {() => ICommand} factory - A factory function that returns an instance of ICommand. This function is used to create the command.
+     * @param {K} notificationName - The name of the notification to associate with the command.
+     * @param {() => ICommand<NotificationOf<M, K>>} factory - A factory function that returns an instance of ICommand. This function is used to create the command.
      * @returns {void}
      */
-    public registerCommand(notificationName: string, factory: () => ICommand): void {
+    public registerCommand<K extends keyof M & string>(notificationName: K, factory: () => ICommand<NotificationOf<M, K>>): void {
         this.controller?.registerCommand(notificationName, factory);
     }
 
     /**
      * Check if a Command is registered for a given Notification
      *
-     * @param {string} notificationName - The name of the notification to check.
+     * @param {keyof M & string} notificationName - The name of the notification to check.
      * @returns {boolean} `true` if a command is registered for the notification; otherwise, `false`.
      */
-    public hasCommand(notificationName: string): boolean {
+    public hasCommand(notificationName: keyof M & string): boolean {
         return this.controller?.hasCommand(notificationName) ?? false;
     }
 
     /**
      * Remove a previously registered `Command` to `Notification` mapping from the Controller.
      *
-     * @param {string} notificationName - The name of the notification for which the command should be removed.
+     * @param {K} notificationName - The name of the notification for which the command should be removed.
+     * @param {() => ICommand<NotificationOf<M, K>>} [factory] - Optional factory of the single command to remove.
+     * @returns {void}
+     */
+    public removeCommand<K extends keyof M & string>(notificationName: K, factory?: () => ICommand<NotificationOf<M, K>>): void {
+        this.controller?.removeCommand(notificationName, factory);
+    }
+
+    /**
+     * Add a `CommandMiddleware` to the `Controller`.
+     *
+     * @param {CommandMiddleware} middleware - The middleware to add.
+     * @returns {void}
+     */
+    public addMiddleware(middleware: CommandMiddleware): void {
+        this.controller?.addMiddleware(middleware);
+    }
+
+    /**
+     * Remove a previously added `CommandMiddleware` from the `Controller`.
+     *
+     * @param {CommandMiddleware} middleware - The middleware to remove.
      * @returns {void}
      */
-    public removeCommand(notificationName: string): void {
-        this.controller?.removeCommand(notificationName);
+    public removeMiddleware(middleware: CommandMiddleware): void {
+        this.controller?.removeMiddleware(middleware);
+    }
+
+    /**
+     * Set the `DuplicatePolicy` of the `Model`, `View` and `Controller`,
+     * so that duplicate proxies, mediators and commands are handled alike.
+     *
+     * The `Controller` is put in `strict` mode, so that a second
+     * `Command` registered for a `Notification` is handled by the
+     * policy too, instead of being executed after the first one.
+     *
+     * ```ts
+     * facade.setDuplicatePolicy("throw");
+     * ```
+     *
+     * @param {DuplicatePolicy} policy - The policy applied to the duplicate proxies, mediators and commands.
+     * @returns {void}
+     */
+    public setDuplicatePolicy(policy: DuplicatePolicy): void {
+        if (this.model) this.model.duplicatePolicy = policy;
+        if (this.view) this.view.duplicatePolicy = policy;
+        if (this.controller) {
+            this.controller.strict = true;
+            this.controller.duplicatePolicy = policy;
+        }
     }
 
     /**
@@ -211,13 +343,65 @@ export class Facade implements IFacade {
     }
 
     /**
-     * Retrieve a `Proxy` from the `Model` by name.
+     * Register a `Proxy` with the `Model`, waiting for its `onRegister` method to complete.
+     *
+     * @param {IProxy} proxy - The proxy instance to be registered.
+     * @returns {Promise<void>} A Promise settling when the proxy is ready, or rejecting if it failed.
+     */
+    public async registerProxyAsync(proxy: IProxy): Promise<void> {
+        await this.model?.registerProxyAsync(proxy);
+    }
+
+    /**
+     * Register a factory creating a `Proxy` with the `Model`.
      *
-     * @param {string} proxyName - The name of the proxy to retrieve.
-     * @returns {IProxy | null} The proxy instance associated with the given name, or `null` if no such proxy exists.
+     * @param {string} proxyName - The name of the proxy created.
+     * @param {() => IProxy} factory - A factory creating the proxy the first time it is retrieved.
+     * @returns {void}
      */
-    public retrieveProxy(proxyName: string): IProxy | null {
-        return this.model?.retrieveProxy(proxyName) ?? null;
+    public registerProxyFactory(proxyName: string, factory: () => IProxy): void {
+        this.model?.registerProxyFactory(proxyName, factory);
+    }
+
+    /**
+     * Retrieve a `Proxy` from the `Model` by name,
+     * or by the static `NAME` of its class.
+     *
+     * Retrieved by class, the `Proxy` is typed as an instance of
+     * that class, and only returned if it actually is one:
+     *
+     * ```ts
+     * const userProxy: UserProxy | null = facade.retrieveProxy(UserProxy);
+     * ```
+     *
+     * @param {string | ProxyClass<T>} proxy - The name or the class of the proxy to retrieve.
+     * @returns {IProxy | T | null} The proxy instance associated with the given name, or `null` if no such proxy exists.
+     */
+    public retrieveProxy(proxyName: string): IProxy | null;
+    public retrieveProxy<T extends IProxy>(proxyClass: ProxyClass<T>): T | null;
+    public retrieveProxy<T extends IProxy>(proxy: string | ProxyClass<T>): IProxy | T | null {
+        if (typeof proxy == "string") return this.model?.retrieveProxy(proxy) ?? null;
+
+        const instance: IProxy | null = this.model?.retrieveProxy(proxy.NAME) ?? null;
+        return instance instanceof proxy ? instance : null;
+    }
+
+    /**
+     * Retrieve a `Proxy` from the `Model` by name,
+     * or by the static `NAME` of its class, and
+     * throw if it can't be found.
+     *
+     * @param {string | ProxyClass<T>} proxy - The name or the class of the proxy to retrieve.
+     * @returns {T} The proxy instance.
+     * @throws {Error} Error if no proxy is registered by that name, or if it is not an instance of the given class.
+     */
+    public requireProxy<T extends IProxy = IProxy>(proxy: string | ProxyClass<T>): T {
+        const proxyName: string = typeof proxy == "string" ? proxy : proxy.NAME;
+        const instance: IProxy | null = this.model?.retrieveProxy(proxyName) ?? null;
+        if (instance == null) throw Error(`Proxy ${proxyName} is not registered`);
+        if (typeof proxy != "string" && !(instance instanceof proxy))
+            throw Error(`Proxy ${proxyName} is not an instance of ${proxy.name}`);
+        return instance as T;
     }
 
     /**
@@ -240,24 +424,79 @@ export class Facade implements IFacade {
         return this.model?.removeProxy(proxyName) ?? null;
     }
 
+    /**
+     * Remove a `Proxy` from the `Model` by name, waiting for its `onRemove` method to complete.
+     *
+     * @param {string} proxyName - The name of the proxy to remove.
+     * @returns {Promise<IProxy | null>} The removed proxy instance, or `null` if no such proxy exists.
+     */
+    public async removeProxyAsync(proxyName: string): Promise<IProxy | null> {
+        return await this.model?.removeProxyAsync(proxyName) ?? null;
+    }
+
     /**
      * Register a `Mediator` with the `View`.
      *
      * @param {IMediator} mediator - The mediator instance to be registered.
+     * @param {number} [priority] - Optional delivery priority, higher values are notified first. Defaults to `0`.
+     * @returns {void}
+     */
+    public registerMediator(mediator: IMediator, priority?: number): void {
+        this.view?.registerMediator(mediator, priority);
+    }
+
+    /**
+     * Update the `Notification` interests of a `Mediator` registered with the `View`.
+     *
+     * Call this method whenever the list returned by the `Mediator`'s
+     * `listNotificationInterests` changes.
+     *
+     * @param {string} mediatorName - The name of the mediator to update.
      * @returns {void}
      */
-    public registerMediator(mediator: IMediator): void {
-        this.view?.registerMediator(mediator);
+    public updateMediatorInterests(mediatorName: string): void {
+        this.view?.updateMediatorInterests(mediatorName);
+    }
+
+    /**
+     * Retrieve a `Mediator` from the `View` by name,
+     * or by the static `NAME` of its class.
+     *
+     * Retrieved by class, the `Mediator` is typed as an instance of
+     * that class, and only returned if it actually is one:
+     *
+     * ```ts
+     * const userMediator: UserMediator | null = facade.retrieveMediator(UserMediator);
+     * ```
+     *
+     * @param {string | MediatorClass<T>} mediator - The name or the class of the mediator to retrieve.
+     * @returns {IMediator | T | null} The mediator instance associated with the given name, or `null` if no such mediator exists.
+     */
+    public retrieveMediator(mediatorName: string): IMediator | null;
+    public retrieveMediator<T extends IMediator<any>>(mediatorClass: MediatorClass<T>): T | null;
+    public retrieveMediator<T extends IMediator<any>>(mediator: string | MediatorClass<T>): IMediator | T | null {
+        if (typeof mediator == "string") return this.view?.retrieveMediator(mediator) ?? null;
+
+        const instance: IMediator | null = this.view?.retrieveMediator(mediator.NAME) ?? null;
+        return instance instanceof mediator ? instance : null;
     }
 
     /**
-     * Retrieve a `Proxy` from the `Model` by name.
+     * Retrieve a `Mediator` from the `View` by name,
+     * or by the static `NAME` of its class, and
+     * throw if it can't be found.
      *
-     * @param {string} mediatorName - The name of the mediator to retrieve.
-     * @returns {IMediator | null} The mediator instance associated with the given name, or `null` if no such mediator exists.
+     * @param {string | MediatorClass<T>} mediator - The name or the class of the mediator to retrieve.
+     * @returns {T} The mediator instance.
+     * @throws {Error} Error if no mediator is registered by that name, or if it is not an instance of the given class.
      */
-    public retrieveMediator(mediatorName: string): IMediator | null {
-        return this.view?.retrieveMediator(mediatorName) ?? null;
+    public requireMediator<T extends IMediator<any> = IMediator>(mediator: string | MediatorClass<T>): T {
+        const mediatorName: string = typeof mediator == "string" ? mediator : mediator.NAME;
+        const instance: IMediator | null = this.view?.retrieveMediator(mediatorName) ?? null;
+        if (instance == null) throw Error(`Mediator ${mediatorName} is not registered`);
+        if (typeof mediator != "string" && !(instance instanceof mediator))
+            throw Error(`Mediator ${mediatorName} is not an instance of ${mediator.name}`);
+        return instance as T;
     }
 
     /**
@@ -280,6 +519,129 @@ export class Facade implements IFacade {
         return this.view?.removeMediator(mediatorName) ?? null;
     }
 
+    /**
+     * Register an `Observer` with the `View` to be notified
+     * of the next `Notification` with a given name only.
+     *
+     * ```ts
+     * facade.registerObserverOnce(DATA_LOADED, new Observer(this.onDataLoaded, this));
+     * ```
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to which the observer should be registered.
+     * @param {IObserver} observer - The observer instance to be registered.
+     * @returns {void}
+     */
+    public registerObserverOnce(notificationName: string, observer: IObserver): void {
+        this.view?.registerObserverOnce(notificationName, observer);
+    }
+
+    /**
+     * Register an `Observer` with the `View` to be notified of `Notifications`
+     * with a given name a limited number of times, or for a limited time.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification to which the observer should be registered.
+     * @param {IObserver} observer - The observer instance to be registered.
+     * @param {number} [count] - Optional number of notifications after which the observer is removed, greater than zero. Defaults to no limit.
+     * @param {number} [ttl] - Optional time to live in milliseconds, after which the observer is removed. Defaults to no limit.
+     * @returns {void}
+     */
+    public registerObserverLimited(notificationName: string, observer: IObserver, count?: number, ttl?: number): void {
+        this.view?.registerObserverLimited(notificationName, observer, count, ttl);
+    }
+
+    /**
+     * Remove an `Observer` from the `View` by its notification context.
+     *
+     * @param {string} notificationName - The name, or name pattern, of the notification the observer was registered for.
+     * @param {any} notifyContext - The `notifyContext` of the observer to be removed.
+     * @returns {void}
+     */
+    public removeObserver(notificationName: string, notifyContext: any): void {
+        this.view?.removeObserver(notificationName, notifyContext);
+    }
+
+    /**
+     * Wait for the next `Notification` with a given name.
+     *
+     * Registers a temporary `Observer` with the `View`, which is removed
+     * as soon as the returned Promise settles.
+     *
+     * ```ts
+     * const note = await facade.waitFor(DATA_LOADED, {
+     *   predicate: note => note.type == "users",
+     *   timeout: 5000
+     * });
+     * ```
+     *
+     * @param {K} notificationName - The name, or name pattern, of the notification to wait for.
+     * @param {WaitForOptions<NotificationOf<M, K>>} [options] - Optional predicate, timeout and abort signal.
+     * @returns {Promise<NotificationOf<M, K>>} A Promise resolving with the matching notification, and rejecting
+     * on timeout, when the signal is aborted, or when the predicate throws.
+     */
+    public waitFor<K extends keyof M & string>(notificationName: K, options: WaitForOptions<NotificationOf<M, K>> = {}): Promise<NotificationOf<M, K>> {
+        const {predicate, timeout, signal} = options;
+
+        return new Promise<NotificationOf<M, K>>((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason ?? Error(`Aborted waiting for Notification ${notificationName}`));
+                return;
+            }
+
+            // a unique context, so that only this observer is removed
+            const context: object = {};
+            let timer: ReturnType<typeof setTimeout> | undefined;
+
+            const settle = (): void => {
+                this.view?.removeObserver(notificationName, context);
+                if (timer != null) clearTimeout(timer);
+                signal?.removeEventListener("abort", onAbort);
+            };
+
+            const onAbort = (): void => {
+                settle();
+                reject(signal?.reason ?? Error(`Aborted waiting for Notification ${notificationName}`));
+            };
+
+            this.view?.registerObserver(notificationName, new Observer((note: INotification): void => {
+                const notification = note as NotificationOf<M, K>;
+                try {
+                    if (predicate != null && !predicate(notification)) return;
+                } catch (error) {
+                    settle();
+                    reject(error);
+                    return;
+                }
+                settle();
+                resolve(notification);
+            }, context));
+
+            if (timeout != null) {
+                timer = setTimeout(() => {
+                    settle();
+                    reject(Error(`Timed out after ${timeout}ms waiting for Notification ${notificationName}`));
+                }, timeout);
+            }
+            signal?.addEventListener("abort", onAbort);
+        });
+    }
+
+    /**
+     * Stream the `Notification`s with the given names.
+     *
+     * ```ts
+     * for await (const note of facade.stream([USER_LOGIN, USER_LOGOUT], {bufferSize: 10})) {
+     *   // handle note, break to stop listening
+     * }
+     * ```
+     *
+     * @param {string[]} notificationNames - The names, or name patterns, of the notifications to stream.
+     * @param {StreamOptions} [options] - Optional buffer size and overflow policy.
+     * @returns {NotificationStream} An async iterator of the notifications, observing the `View` until closed.
+     */
+    public stream(notificationNames: string[], options?: StreamOptions): NotificationStream {
+        return new NotificationStream(this.view, notificationNames, options);
+    }
+
     /**
      * Notify `Observer`s.
      *
@@ -304,13 +666,95 @@ export class Facade implements IFacade {
      * Keeps us from having to construct new notification
      * instances in our implementation code.
      *
-     * @param {string} notificationName - The name of the notification to be sent.
-     * @param {any} [body] - Optional data to be included with the notification.
-     * @param {string} [type] - Optional type of the notification.
+     * @param {K} notificationName - The name of the notification to be sent.
+     * @param {NotificationArgs<M, K>} args - The data to be included with the notification, optional unless the map requires it, then an optional type.
      * @returns {void}
      */
-    public sendNotification(notificationName: string, body?: any, type?: string): void {
+    public sendNotification<K extends keyof M & string>(notificationName: K, ...args: NotificationArgs<M, K>): void {
+        const [body, type] = args;
         this.notifyObservers(new Notification(notificationName, body, type));
     }
 
+    /**
+     * Notify `Observer`s, and wait for any asynchronous
+     * `Command`s they trigger to complete.
+     *
+     * @param {INotification} notification - The notification to be sent to observers.
+     * @returns {Promise<void>} A Promise that settles when all triggered commands are done.
+     */
+    public notifyObserversAsync(notification: INotification): Promise<void> {
+        return this.view?.notifyObserversAsync(notification) ?? Promise.resolve();
+    }
+
+    /**
+     * Create and send an `Notification`, and wait for any
+     * asynchronous `Command`s it triggers to complete.
+     *
+     * The returned Promise rejects if any of those `Command`s fails,
+     * unless the `errorPolicy` of the `View` is `"isolate"`.
+     *
+     * @param {K} notificationName - The name of the notification to be sent.
+     * @param {NotificationArgs<M, K>} args - The data to be included with the notification, optional unless the map requires it, then an optional type.
+     * @returns {Promise<void>} A Promise that settles when all triggered commands are done.
+     */
+    public sendNotificationAsync<K extends keyof M & string>(notificationName: K, ...args: NotificationArgs<M, K>): Promise<void> {
+        const [body, type] = args;
+        return this.notifyObserversAsync(new Notification(notificationName, body, type));
+    }
+
+    /**
+     * Create and send a cancelable `Notification`.
+     *
+     * An `Observer` notified before the `Command`s mapped to
+     * the `Notification`, such as a `Mediator` with a higher
+     * priority, may veto it by calling its `cancel` method,
+     * so that the `Command`s are not executed.
+     *
+     * @param {K} notificationName - The name of the notification to be sent.
+     * @param {NotificationArgs<M, K>} args - The data to be included with the notification, optional unless the map requires it, then an optional type.
+     * @returns {boolean} `true` if the notification was not canceled; otherwise, `false`.
+     */
+    public sendCancelableNotification<K extends keyof M & string>(notificationName: K, ...args: NotificationArgs<M, K>): boolean {
+        const [body, type] = args;
+        const notification: INotification = new Notification(notificationName, body, type, true);
+        this.notifyObservers(notification);
+        return !notification.isCanceled;
+    }
+
+    /**
+     * Tear down the Core.
+     *
+     * Removes every `Command`, then every `Mediator` and every
+     * `Proxy`, calling their `onRemove` methods, and every
+     * `Observer`. Then removes the Core, so a fresh one can
+     * be built with the same key.
+     *
+     * Commands are removed first, so the `Notification`s
+     * sent while removing `Mediator`s and `Proxy`s can't
+     * trigger them.
+     *
+     * @returns {void}
+     */
+    public dispose(): void {
+        this.controller?.dispose();
+        this.view?.dispose();
+        this.model?.dispose();
+        if (Facade.instanceMap[this.multitonKey] == this) Facade.removeCore(this.multitonKey);
+    }
+
+    /**
+     * Set the Multiton key for this facade instance.
+     *
+     * Not called directly, but instead from the
+     * constructor when getInstance is invoked.
+     * It is necessary to be public in order to
+     * implement INotifier.
+     *
+     * @param {string} key - The multiton key of the Core.
+     * @returns {void}
+     */
+    public initializeNotifier(key: string): void {
+        this.multitonKey = key;
+    }
+
 }
@@ -0,0 +1,91 @@
+//
+//  Injector.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {IInjector, InjectMap} from "../../interfaces/IInjector";
+import {MediatorClass} from "../../interfaces/IMediator";
+import {ProxyClass} from "../../interfaces/IProxy";
+import {Notifier} from "../observer/Notifier";
+
+/**
+ * A base `Injector` implementation.
+ *
+ * A `Command` or `Mediator` class declares its dependencies
+ * with a static `inject` map, instead of retrieving them:
+ *
+ * ```ts
+ * class SaveUserCommand extends SimpleCommand {
+ *   public static inject: InjectMap = {userProxy: UserProxy, formMediator: FormMediator};
+ *
+ *   protected userProxy!: UserProxy;
+ *   protected formMediator!: FormMediator;
+ *
+ *   public execute(notification: INotification): void {
+ *     this.userProxy.save(this.formMediator.user);
+ *   }
+ * }
+ * ```
+ *
+ * The `Controller` injects each `Command` before executing it, a
+ * `MacroCommand` each of its `SubCommands`, and the `View` each
+ * `Mediator` before calling its `onRegister` method. A subclass
+ * declaring its own `inject` map should spread the one it inherits.
+ *
+ * @see {@link Controller}
+ * @see {@link View}
+ *
+ * @class Injector
+ * @extends Notifier
+ */
+export class Injector extends Notifier implements IInjector {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} key - The multiton key of the Core the dependencies are retrieved from.
+     */
+    public constructor(key: string) {
+        super();
+        this.initializeNotifier(key);
+    }
+
+    /**
+     * Fill the properties declared by the `inject` map of the
+     * class of the target with the `Proxy`s and `Mediator`s
+     * registered in the Core.
+     *
+     * @param {object} target - The command or mediator to inject.
+     * @returns {void}
+     * @throws {Error} Error if a dependency is not registered, or not an instance of the class declared.
+     */
+    public inject(target: object): void {
+        const map: InjectMap | undefined = (target.constructor as { inject?: InjectMap }).inject;
+        if (map == null) return;
+
+        const properties = target as { [property: string]: unknown };
+        for (const property in map) {
+            try {
+                properties[property] = this.isMediatorClass(map[property]) ?
+                    this.facade.requireMediator(map[property] as MediatorClass<any>) :
+                    this.facade.requireProxy(map[property] as ProxyClass<any>);
+            } catch (error) {
+                throw Error(`Cannot inject ${property} into ${target.constructor.name}: ${(error as Error).message}`);
+            }
+        }
+    }
+
+    /**
+     * Check if a dependency is a `Mediator` class, rather than a `Proxy` class.
+     *
+     * @param {ProxyClass<any> | MediatorClass<any>} dependency - The class of the dependency.
+     * @returns {boolean} `true` if its instances handle notifications; otherwise, `false`.
+     */
+    protected isMediatorClass(dependency: ProxyClass<any> | MediatorClass<any>): boolean {
+        return typeof dependency.prototype?.handleNotification == "function";
+    }
+
+}
@@ -7,7 +7,7 @@
 //
 
 import {IMediator} from "../../interfaces/IMediator";
-import {INotification} from "../../interfaces/INotification";
+import {INotification, NotificationMap} from "../../interfaces/INotification";
 import {Notifier} from "../observer/Notifier";
 
 /**
@@ -17,8 +17,10 @@ import {Notifier} from "../observer/Notifier";
  *
  * @class Mediator
  * @extends Notifier
+ * @template N - The type of the notifications the mediator handles, for instance a `NotificationOf` union.
+ * @template M - The notification map of the `Facade` it references.
  */
-export class Mediator extends Notifier implements IMediator {
+export class Mediator<N extends INotification = INotification, M = NotificationMap> extends Notifier<M> implements IMediator<N> {
 
     /** The default name for the mediator.
      * @type {string} */
@@ -79,10 +81,10 @@ export class Mediator extends Notifier implements IMediator {
      * with one 'case' entry per `Notification`
      * the `Mediator` is interested in.
      *
-     * @param {INotification} notification - The notification to handle.
+     * @param {N} notification - The notification to handle.
      * @returns {void}
      */
-    public handleNotification(notification: INotification): void {
+    public handleNotification(notification: N): void {
 
     }
 
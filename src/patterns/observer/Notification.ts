@@ -37,58 +37,74 @@ import {INotification} from "../../interfaces/INotification";
  * using `Notification`s.
  *
  * @class Notification
+ * @template Name - The type of the notification name.
+ * @template Body - The type of the notification body.
  */
-export class Notification implements INotification {
+export class Notification<Name extends string = string, Body = any> implements INotification<Name, Body> {
 
     /** the name of the notification instance
-     * @type {string} */
-    private readonly _name: string;
+     * @type {Name} */
+    private readonly _name: Name;
 
     /** the body of the notification instance
-     * @type {any} */
-    private _body?: any;
+     * @type {Body} */
+    private _body: Body;
 
     /**
      * @type {string | undefined } */
     private _type?: string | undefined;
 
+    /** whether the notification can be canceled
+     * @type {boolean} */
+    private readonly _cancelable: boolean;
+
+    /** whether the notification has been canceled
+     * @type {boolean} */
+    private _canceled: boolean = false;
+
+    /** whether the propagation of the notification has been stopped
+     * @type {boolean} */
+    private _propagationStopped: boolean = false;
+
     /**
      * Constructor.
      *
-     * @param {string} name - The name of the notification.
-     * @param {any} [body] - Optional data to be included with the notification.
+     * @param {Name} name - The name of the notification.
+     * @param {Body} [body] - Optional data to be included with the notification.
      * @param {string} [type] - Optional type of the notification.
+     * @param {boolean} [cancelable] - Optional flag allowing observers to cancel the notification. Defaults to `false`.
      */
-    public constructor(name: string, body?: any, type?: string) {
+    public constructor(name: Name, body?: Body, type?: string, cancelable?: boolean) {
         this._name = name;
-        this._body = body;
+        this._body = body as Body;
         this._type = type;
+        this._cancelable = cancelable ?? false;
     }
 
     /**
      * Get the name of the `Notification` instance.
      *
-     * @returns {string} The name of the notification.
+     * @returns {Name} The name of the notification.
      */
-    public get name(): string {
+    public get name(): Name {
         return this._name;
     }
 
     /**
      * Get the body of the `Notification` instance.
      *
-     * @returns {any} The body of the notification.
+     * @returns {Body} The body of the notification.
      */
-    public get body(): any {
+    public get body(): Body {
         return this._body;
     }
 
     /**
      * Set the body of the `Notification` instance.
      *
-     * @param {any} value - The new body to be set for the notification.
+     * @param {Body} value - The new body to be set for the notification.
      */
-    public set body(value: any) {
+    public set body(value: Body) {
         this._body = value;
     }
 
@@ -110,6 +126,58 @@ export class Notification implements INotification {
         this._type = value;
     }
 
+    /**
+     * Whether the `Notification` can be canceled.
+     *
+     * @returns {boolean} `true` if observers may cancel the notification.
+     */
+    public get cancelable(): boolean {
+        return this._cancelable;
+    }
+
+    /**
+     * Whether the `Notification` has been canceled.
+     *
+     * @returns {boolean} `true` if an observer canceled the notification.
+     */
+    public get isCanceled(): boolean {
+        return this._canceled;
+    }
+
+    /**
+     * Whether an observer has stopped the propagation of the `Notification`.
+     *
+     * @returns {boolean} `true` if the remaining observers will not be notified.
+     */
+    public get isPropagationStopped(): boolean {
+        return this._propagationStopped;
+    }
+
+    /**
+     * Cancel the `Notification`.
+     *
+     * Typically called by a validating `Mediator`, registered with
+     * a higher priority than the `Controller`, to veto the `Command`
+     * mapped to the notification. The remaining observers are still notified.
+     *
+     * Has no effect if the notification is not `cancelable`.
+     *
+     * @returns {void}
+     */
+    public cancel(): void {
+        if (this._cancelable) this._canceled = true;
+    }
+
+    /**
+     * Stop the `Notification` from being delivered to
+     * any of the remaining observers.
+     *
+     * @returns {void}
+     */
+    public stopPropagation(): void {
+        this._propagationStopped = true;
+    }
+
     /**
      * Get the string representation of the `Notification` instance.
      *
@@ -0,0 +1,199 @@
+//
+//  NotificationStream.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {IView} from "../../interfaces/IView";
+import {INotification} from "../../interfaces/INotification";
+import {INotificationStream, StreamOptions, StreamOverflowPolicy} from "../../interfaces/INotificationStream";
+import {Observer} from "./Observer";
+
+/**
+ * An asynchronous stream of `Notification`s.
+ *
+ * A `NotificationStream` registers itself as an `Observer` with
+ * the `View` for each of the given `Notification` names, and buffers
+ * the `Notification`s it receives until they are consumed:
+ *
+ * ```ts
+ * for await (const notification of facade.stream([LOGIN, LOGOUT])) {
+ *   // handle notification, break to stop listening
+ * }
+ * ```
+ *
+ * When the buffer is full, the `overflow` policy decides what happens
+ * to a new `Notification`:
+ *
+ * - `"dropOldest"` (default): the oldest buffered notification is discarded.
+ * - `"dropNewest"`: the new notification is discarded.
+ * - `"block"`: the new notification is buffered, and the `Observer` returns a
+ * Promise that resolves once the consumer has caught up. Senders using
+ * `Facade.sendNotificationAsync` wait for it, other senders are not blocked.
+ * At most `bufferSize` senders wait at once, further notifications are
+ * discarded as under `"dropNewest"`, so that senders who do not wait,
+ * such as `Facade.sendNotification`, cannot grow the buffer without limit.
+ *
+ * The stream removes its `Observer`s when it is closed, either by calling
+ * `close`, or by leaving a `for await` loop.
+ *
+ * @see {@link Facade}
+ * @see {@link View}
+ *
+ * @class NotificationStream
+ */
+export class NotificationStream implements INotificationStream {
+
+    /** The default maximum number of buffered notifications
+     * @type {number} */
+    public static BUFFER_SIZE: number = 100;
+
+    /** The View the stream observes
+     * @type {IView | undefined} */
+    private readonly view?: IView;
+
+    /** The names of the notifications in the stream
+     * @type {string[]} */
+    private readonly notificationNames: string[];
+
+    /** The maximum number of buffered notifications
+     * @type {number} */
+    private readonly bufferSize: number;
+
+    /** What happens to a notification received when the buffer is full
+     * @type {StreamOverflowPolicy} */
+    private readonly overflow: StreamOverflowPolicy;
+
+    /** Notifications received, but not consumed yet
+     * @type {INotification[]} */
+    private buffer: INotification[] = [];
+
+    /** Consumers waiting for the next notification
+     * @type {((result: IteratorResult<INotification>) => void)[]} */
+    private consumers: ((result: IteratorResult<INotification>) => void)[] = [];
+
+    /** Senders waiting for the consumer to catch up
+     * @type {(() => void)[]} */
+    private producers: (() => void)[] = [];
+
+    /** Whether the stream has been closed
+     * @type {boolean} */
+    private closed: boolean = false;
+
+    /**
+     * Constructor.
+     *
+     * @param {IView | undefined} view - The View to observe.
+     * @param {string[]} notificationNames - The names, or name patterns, of the notifications in the stream.
+     * @param {StreamOptions} [options] - Optional buffer size and overflow policy.
+     */
+    public constructor(view: IView | undefined, notificationNames: string[], options: StreamOptions = {}) {
+        this.view = view;
+        this.notificationNames = notificationNames.slice();
+        this.bufferSize = options.bufferSize ?? NotificationStream.BUFFER_SIZE;
+        this.overflow = options.overflow ?? "dropOldest";
+
+        // a single Observer, so that a notification matching several names is delivered once
+        const observer: Observer = new Observer(this.push, this);
+        for (let i: number = 0; i < this.notificationNames.length; i++) {
+            this.view?.registerObserver(this.notificationNames[i], observer);
+        }
+    }
+
+    /**
+     * Receive a `Notification` from the `View`.
+     *
+     * @param {INotification} notification - The notification to add to the stream.
+     * @returns {void | Promise<void>} A Promise resolving when the consumer has caught up, if blocked under the `"block"` policy.
+     */
+    protected push(notification: INotification): void | Promise<void> {
+        if (this.closed) return;
+
+        // hand the notification directly to a waiting consumer
+        const consumer: ((result: IteratorResult<INotification>) => void) | undefined = this.consumers.shift();
+        if (consumer) {
+            consumer({value: notification, done: false});
+            return;
+        }
+
+        if (this.buffer.length < this.bufferSize) {
+            this.buffer.push(notification);
+            return;
+        }
+
+        switch (this.overflow) {
+        case "dropNewest":
+            return;
+        case "block":
+            if (this.producers.length >= this.bufferSize) return;
+            this.buffer.push(notification);
+            return new Promise<void>(resolve => this.producers.push(resolve));
+        default:
+            this.buffer.shift();
+            this.buffer.push(notification);
+        }
+    }
+
+    /**
+     * Get the next `Notification` in the stream.
+     *
+     * @returns {Promise<IteratorResult<INotification>>} A Promise resolving with the next notification,
+     * or with a `done` result once the stream is closed and its buffer drained.
+     */
+    public next(): Promise<IteratorResult<INotification>> {
+        const notification: INotification | undefined = this.buffer.shift();
+        if (notification) {
+            // each notification consumed makes room for one blocked sender
+            this.producers.shift()?.();
+            return Promise.resolve({value: notification, done: false});
+        }
+        if (this.closed) return Promise.resolve({value: undefined, done: true});
+        return new Promise<IteratorResult<INotification>>(resolve => this.consumers.push(resolve));
+    }
+
+    /**
+     * Stop consuming the stream.
+     *
+     * Called when leaving a `for await` loop. Closes the stream
+     * and discards the buffered notifications.
+     *
+     * @returns {Promise<IteratorResult<INotification>>} A Promise resolving with a `done` result.
+     */
+    public return(): Promise<IteratorResult<INotification>> {
+        this.close();
+        this.buffer = [];
+        return Promise.resolve({value: undefined, done: true});
+    }
+
+    /**
+     * Close the stream.
+     *
+     * Removes the stream's `Observer`s from the `View`, ends waiting
+     * consumers and releases blocked senders. Notifications already
+     * buffered can still be consumed.
+     *
+     * @returns {void}
+     */
+    public close(): void {
+        if (this.closed) return;
+        this.closed = true;
+
+        for (let i: number = 0; i < this.notificationNames.length; i++) {
+            this.view?.removeObserver(this.notificationNames[i], this);
+        }
+        this.consumers.splice(0).forEach(consumer => consumer({value: undefined, done: true}));
+        this.producers.splice(0).forEach(producer => producer());
+    }
+
+    /**
+     * Get the async iterator for the stream.
+     *
+     * @returns {AsyncIterableIterator<INotification>} The stream itself.
+     */
+    public [Symbol.asyncIterator](): AsyncIterableIterator<INotification> {
+        return this;
+    }
+
+}
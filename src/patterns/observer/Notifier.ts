@@ -8,6 +8,7 @@
 
 import {INotifier} from "../../interfaces/INotifier";
 import {IFacade} from "../../interfaces/IFacade";
+import {NotificationMap} from "../../interfaces/INotification";
 import {Facade} from "../facade/Facade";
 
 /**
@@ -22,7 +23,7 @@ import {Facade} from "../facade/Facade";
  *
  * The `Notifier` class, which all the above-mentioned classes
  * extend, provides an initialized reference to the `Facade`
- * Singleton, which is required for the convenience method
+ * Multiton of its Core, which is required for the convenience method
  * for sending `Notifications`, but also eases implementation as these
  * classes have frequent `Facade` interactions and usually require
  * access to the facade anyway.
@@ -34,8 +35,13 @@ import {Facade} from "../facade/Facade";
  * @see {@link SimpleCommand}
  *
  * @class Notifier
+ * @template M - The notification map of the `Facade` it references.
  */
-export class Notifier implements INotifier {
+export class Notifier<M = NotificationMap> implements INotifier {
+
+    /** The Multiton Key for this app
+     * @type {string} */
+    protected multitonKey: string = Facade.DEFAULT_KEY;
 
     /**
      * Create and send an `Notification`.
@@ -49,14 +55,52 @@ export class Notifier implements INotifier {
      * @returns {void}
      */
     public sendNotification(notificationName: string, body?: any, type?: string): void {
-        this.facade.sendNotification(notificationName, body, type);
+        this.facade.sendNotification(notificationName as keyof M & string, body, type);
+    }
+
+    /**
+     * Create and send a cancelable `Notification`.
+     *
+     * @param {string} notificationName - The name of the notification to be sent.
+     * @param {any} [body] - Optional data to be included with the notification.
+     * @param {string} [type] - Optional type of the notification.
+     * @returns {boolean} `true` if the notification was not canceled; otherwise, `false`.
+     */
+    public sendCancelableNotification(notificationName: string, body?: any, type?: string): boolean {
+        return this.facade.sendCancelableNotification(notificationName as keyof M & string, body, type);
     }
 
     /**
-     * Return the Singleton Facade instance
+     * Initialize this Notifier instance.
      *
-     * @returns {IFacade} The facade instance.
+     * This is how a Notifier gets its multitonKey.
+     * The `Model`, `View` and `Controller` call it when
+     * registering a `Proxy` or `Mediator`, or executing a `Command`.
+     * Until it has been called, calls to sendNotification
+     * or to access the facade address the Core with the
+     * key `Facade.DEFAULT_KEY`.
+     *
+     * Mediators, Commands or Proxies may override
+     * this method in order to send notifications
+     * or access the Multiton Facade instance as
+     * soon as possible. In a Core other than the default one,
+     * they CANNOT access the facade in their constructors,
+     * since this method will not yet have been called.
+     *
+     * @param {string} key - The multitonKey for this Notifier to use.
+     * @returns {void}
      */
-    protected facade: IFacade = Facade.getInstance(() => new Facade());
+    public initializeNotifier(key: string): void {
+        this.multitonKey = key;
+    }
+
+    /**
+     * Return the Multiton Facade instance
+     *
+     * @returns {IFacade<M>} The facade instance of this Notifier's Core.
+     */
+    protected get facade(): IFacade<M> {
+        return Facade.getInstance<M>(this.multitonKey, (key: string) => new Facade<M>(key));
+    }
 
 }
@@ -6,7 +6,7 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {IObserver} from "../../interfaces/IObserver";
+import {IObserver, NotifyMethod} from "../../interfaces/IObserver";
 import {INotification} from "../../interfaces/INotification";
 
 /**
@@ -27,30 +27,35 @@ import {INotification} from "../../interfaces/INotification";
  */
 export class Observer implements IObserver {
 
-    private _notifyMethod?: ((notification: INotification) => void) | null;
+    private _notifyMethod?: NotifyMethod | null;
 
     private _notifyContext?: any | null;
 
+    private _priority: number;
+
     /**
      * Constructor.
      *
      * The notification method on the interested object should take
-     * one parameter of type `Notification`
+     * one parameter of type `Notification`, and may return a Promise
+     * if it handles the notification asynchronously.
      *
-     * @param {((notification: INotification) => void) | null} notify - The method to be called when a notification is received. Can be `null`.
+     * @param {NotifyMethod | null} notify - The method to be called when a notification is received. Can be `null`.
      * @param {any | null} context - The context in which to call the `notifyMethod`. Can be `null`.
+     * @param {number} [priority] - Optional delivery priority, higher values are notified first. Defaults to `0`.
      */
-    constructor(notify?: ((notification: INotification) => void) | null, context?: any | null) {
+    constructor(notify?: NotifyMethod | null, context?: any | null, priority?: number) {
         this._notifyMethod = notify;
         this._notifyContext = context;
+        this._priority = priority ?? 0;
     }
 
     /**
      * Get the notification method.
      *
-     * @returns {((notification: INotification) => void) | null} The current method or `null` if no method is set.
+     * @returns {NotifyMethod | null} The current method or `null` if no method is set.
      */
-    public get notifyMethod(): ((notification: INotification) => void) | null | undefined {
+    public get notifyMethod(): NotifyMethod | null | undefined {
         return this._notifyMethod;
     }
 
@@ -59,9 +64,9 @@ export class Observer implements IObserver {
      *
      * The notification method should take one parameter of type `Notification`.
      *
-     * @param {((notification: INotification) => void) | null} value - The method to set for handling notifications. Can be `null`.
+     * @param {NotifyMethod | null} value - The method to set for handling notifications. Can be `null`.
      */
-    public set notifyMethod(value: ((notification: INotification) => void) | null) {
+    public set notifyMethod(value: NotifyMethod | null) {
         this._notifyMethod = value;
     }
 
@@ -83,14 +88,35 @@ export class Observer implements IObserver {
         this._notifyContext = value;
     }
 
+    /**
+     * Get the delivery priority.
+     *
+     * @returns {number} The priority, higher values are notified first.
+     */
+    public get priority(): number {
+        return this._priority;
+    }
+
+    /**
+     * Set the delivery priority.
+     *
+     * The priority is read when the `Observer` is registered with the `View`,
+     * so it should be set before registration.
+     *
+     * @param {number} value - The priority, higher values are notified first.
+     */
+    public set priority(value: number) {
+        this._priority = value;
+    }
+
     /**
      * Notify the interested object.
      *
      * @param {INotification} notification - The notification to send to the observer.
-     * @returns {void}
+     * @returns {void | Promise<void>} The Promise returned by the notification method, if any.
      */
-    public notifyObserver(notification: INotification): void {
-        this.notifyMethod?.call(this.notifyContext, notification);
+    public notifyObserver(notification: INotification): void | Promise<void> {
+        return this.notifyMethod?.call(this.notifyContext, notification);
     }
 
     /**
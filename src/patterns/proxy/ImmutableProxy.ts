@@ -0,0 +1,267 @@
+//
+//  ImmutableProxy.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {IImmutableProxy} from "../../interfaces/IImmutableProxy";
+import {ObservableProxy} from "./ObservableProxy";
+
+/**
+ * A `Proxy` holding deep-frozen data, with undo and redo.
+ *
+ * The data is never mutated. Each change produces a new version,
+ * sharing the parts that did not change with the previous one:
+ *
+ * ```ts
+ * const proxy = new ImmutableProxy(DocumentProxy.NAME, {title: "Draft", pages: []});
+ * facade.registerProxy(proxy);
+ *
+ * proxy.update(draft => {
+ *   draft.title = "Final";
+ * });
+ * proxy.undo(); // title is "Draft" again
+ * proxy.redo(); // title is "Final" again
+ * ```
+ *
+ * The previous versions are kept in a history bounded by `historyLimit`.
+ * Every change, including undo and redo, sends the changed notification of
+ * `ObservableProxy`, with the type `ImmutableProxy.UPDATE`, `ImmutableProxy.UNDO`
+ * or `ImmutableProxy.REDO`. A batch of changes is undone at once.
+ *
+ * Only plain objects and arrays are copied and frozen, other
+ * values, such as class instances, are kept by reference.
+ *
+ * @see {@link ObservableProxy}
+ *
+ * @class ImmutableProxy
+ * @extends ObservableProxy
+ * @template T - The type of the proxy data.
+ */
+export class ImmutableProxy<T = any> extends ObservableProxy<T> implements IImmutableProxy<T> {
+
+    /**
+     * The default number of previous versions kept.
+     *
+     * @type {number}
+     */
+    public static HISTORY_LIMIT: number = 100;
+
+    /** Notification type of a change made with `data`, `patch` or `update` */
+    public static UPDATE: string = "update";
+
+    /** Notification type of a change made with `undo` */
+    public static UNDO: string = "undo";
+
+    /** Notification type of a change made with `redo` */
+    public static REDO: string = "redo";
+
+    /** the maximum number of previous versions kept
+     * @type {number} */
+    protected readonly historyLimit: number;
+
+    /** the previous versions, the most recent last
+     * @type {T[]} */
+    private past: T[] = [];
+
+    /** the undone versions, the most recently undone last
+     * @type {T[]} */
+    private future: T[] = [];
+
+    /**
+     * Constructor
+     *
+     * @param {string} [name] - The name of the proxy. Defaults to `Proxy.NAME` if not provided.
+     * @param {T} [data] - The initial data, which is deep-frozen.
+     * @param {number} [historyLimit] - The maximum number of previous versions kept. Defaults to `ImmutableProxy.HISTORY_LIMIT`.
+     * @param {string} [changedNotificationName] - The name of the notification sent when the data changes. Defaults to the proxy name followed by `ObservableProxy.CHANGED`.
+     */
+    public constructor(name?: string, data?: T, historyLimit?: number, changedNotificationName?: string) {
+        super(name, data, changedNotificationName);
+        this.historyLimit = historyLimit ?? ImmutableProxy.HISTORY_LIMIT;
+        this._data = this.freeze(this._data);
+    }
+
+    /**
+     * Get the data object
+     *
+     * @returns {T} The current, deep-frozen, version of the data.
+     */
+    public override get data(): T {
+        return this._data;
+    }
+
+    /**
+     * Replace the data with a new version.
+     *
+     * The parts of the new data equal to the current version
+     * are replaced by the current ones, and the result is deep-frozen.
+     *
+     * @param {T} value - The new data.
+     */
+    public override set data(value: T) {
+        super.data = this.freeze(this.share(this._data, value));
+    }
+
+    /**
+     * Whether there is a change to undo
+     *
+     * @returns {boolean} `true` if a change can be undone; otherwise, `false`.
+     */
+    public get canUndo(): boolean {
+        return this.past.length > 0;
+    }
+
+    /**
+     * Whether there is an undone change to redo
+     *
+     * @returns {boolean} `true` if a change can be redone; otherwise, `false`.
+     */
+    public get canRedo(): boolean {
+        return this.future.length > 0;
+    }
+
+    /**
+     * Produce a new version of the data.
+     *
+     * The recipe receives a mutable deep copy of the data, which it
+     * may change in place, or it may return new data instead:
+     *
+     * ```ts
+     * proxy.update(draft => { draft.pages.push(page); });
+     * proxy.update(data => ({...data, title: "Final"}));
+     * ```
+     *
+     * @param {(draft: T) => T | void} recipe - A function changing a draft of the data, or returning new data.
+     * @returns {void}
+     */
+    public update(recipe: (draft: T) => T | void): void {
+        const draft: T = this.copy(this._data);
+        const result: T | void = recipe(draft);
+        this.data = result === undefined ? draft : result;
+    }
+
+    /**
+     * Restore the previous version of the data.
+     *
+     * @returns {boolean} `true` if a change was undone; otherwise, `false`.
+     */
+    public undo(): boolean {
+        if (this.past.length == 0) return false;
+        const previous: T = this.past.pop() as T;
+        this.future.push(this._data);
+        this.restore(previous, ImmutableProxy.UNDO);
+        return true;
+    }
+
+    /**
+     * Restore the version of the data last undone.
+     *
+     * @returns {boolean} `true` if a change was redone; otherwise, `false`.
+     */
+    public redo(): boolean {
+        if (this.future.length == 0) return false;
+        const next: T = this.future.pop() as T;
+        this.past.push(this._data);
+        this.restore(next, ImmutableProxy.REDO);
+        return true;
+    }
+
+    /**
+     * Forget the previous and undone versions of the data.
+     *
+     * @returns {void}
+     */
+    public clearHistory(): void {
+        this.past = [];
+        this.future = [];
+    }
+
+    /**
+     * Record the previous version in the history,
+     * and send the changed notification.
+     *
+     * @param {T} oldData - The data before the change.
+     * @param {T} newData - The data after the change.
+     * @param {string} [type] - Optional type of the notification. Defaults to `ImmutableProxy.UPDATE`.
+     * @returns {void}
+     */
+    protected override notifyChange(oldData: T, newData: T, type: string = ImmutableProxy.UPDATE): void {
+        if (this.diff(oldData, newData).length == 0) return;
+
+        this.past.push(oldData);
+        if (this.past.length > this.historyLimit) this.past.shift();
+        this.future = [];
+        super.notifyChange(oldData, newData, type);
+    }
+
+    /**
+     * Restore a version from the history, without recording it.
+     *
+     * @param {T} data - The version to restore.
+     * @param {string} type - The type of the notification.
+     * @returns {void}
+     */
+    private restore(data: T, type: string): void {
+        const oldData: T = this._data;
+        this._data = data;
+        super.notifyChange(oldData, data, type);
+    }
+
+    /**
+     * Deep-freeze a value, skipping the parts already frozen.
+     *
+     * @param {V} value - The value to freeze.
+     * @returns {V} The frozen value.
+     */
+    protected freeze<V>(value: V): V {
+        if (!this.isTraversable(value) || Object.isFrozen(value)) return value;
+
+        const record = value as { [key: string]: unknown };
+        for (const key of Object.keys(record)) this.freeze(record[key]);
+        return Object.freeze(value);
+    }
+
+    /**
+     * Deep-copy the plain objects and arrays of a value.
+     *
+     * @param {V} value - The value to copy.
+     * @returns {V} The mutable copy.
+     */
+    protected copy<V>(value: V): V {
+        if (!this.isTraversable(value)) return value;
+
+        const record = value as { [key: string]: unknown };
+        const copy: { [key: string]: unknown } = Array.isArray(value) ? [] as unknown as { [key: string]: unknown } : {};
+        for (const key of Object.keys(record)) copy[key] = this.copy(record[key]);
+        return copy as V;
+    }
+
+    /**
+     * Replace the parts of a new value equal to the current
+     * value by the current ones, for structural sharing.
+     *
+     * @param {unknown} current - The current value.
+     * @param {V} value - The new value.
+     * @returns {V} The current value, if equal, or the new value sharing its unchanged parts.
+     */
+    protected share<V>(current: unknown, value: V): V {
+        if (Object.is(current, value)) return value;
+        if (!this.isTraversable(current) || !this.isTraversable(value) || Array.isArray(current) != Array.isArray(value)) return value;
+
+        const currentRecord = current as { [key: string]: unknown };
+        const record = value as { [key: string]: unknown };
+        const keys: string[] = Object.keys(record);
+        let changed: boolean = keys.length != Object.keys(currentRecord).length;
+
+        const shared: { [key: string]: unknown } = Array.isArray(value) ? [] as unknown as { [key: string]: unknown } : {};
+        for (const key of keys) {
+            shared[key] = this.share(currentRecord[key], record[key]);
+            if (!(key in currentRecord) || !Object.is(shared[key], currentRecord[key])) changed = true;
+        }
+        return (changed ? shared : current) as V;
+    }
+
+}
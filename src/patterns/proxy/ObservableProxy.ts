@@ -0,0 +1,199 @@
+//
+//  ObservableProxy.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {IObservableProxy, ProxyChange} from "../../interfaces/IObservableProxy";
+import {Proxy} from "./Proxy";
+
+/**
+ * A `Proxy` which sends a `Notification` whenever its data changes.
+ *
+ * Setting `data`, or calling `patch`, sends the changed notification,
+ * named `<PROXY_NAME>/changed` unless configured otherwise. Its body is a
+ * `ProxyChange`, carrying the old data, the new data and the paths of
+ * the values that changed:
+ *
+ * ```ts
+ * const proxy = new ObservableProxy(UserProxy.NAME, {name: "Ada", age: 36});
+ * facade.registerProxy(proxy);
+ *
+ * proxy.patch({age: 37}); // sends "UserProxy/changed", changedPaths ["age"]
+ *
+ * proxy.batch(() => {     // sends a single notification
+ *   proxy.patch({name: "Grace"});
+ *   proxy.patch({age: 85});
+ * });
+ * ```
+ *
+ * Changes are found by comparing the old and new data, descending into
+ * plain objects and arrays. Data mutated in place can't be compared with
+ * its previous state, so replace it, or `patch` it, instead. No notification
+ * is sent when nothing changed.
+ *
+ * @see {@link Proxy}
+ *
+ * @class ObservableProxy
+ * @extends Proxy
+ * @template T - The type of the proxy data.
+ */
+export class ObservableProxy<T = any> extends Proxy implements IObservableProxy<T> {
+
+    /**
+     * The suffix of the default changed notification name.
+     *
+     * @type {string}
+     */
+    public static CHANGED: string = "/changed";
+
+    /** the name of the notification sent when the data changes
+     * @type {string} */
+    private _changedNotificationName: string;
+
+    /** the depth of nested batches in progress
+     * @type {number} */
+    protected batchDepth: number = 0;
+
+    /**
+     * Constructor
+     *
+     * @param {string} [name] - The name of the proxy. Defaults to `Proxy.NAME` if not provided.
+     * @param {T} [data] - The data associated with the proxy. Setting it here sends no notification.
+     * @param {string} [changedNotificationName] - The name of the notification sent when the data changes. Defaults to the proxy name followed by `ObservableProxy.CHANGED`.
+     */
+    public constructor(name?: string, data?: T, changedNotificationName?: string) {
+        super(name, data);
+        this._changedNotificationName = changedNotificationName ?? this.name + ObservableProxy.CHANGED;
+    }
+
+    /**
+     * Get the name of the notification sent when the data changes
+     *
+     * @returns {string} The changed notification name.
+     */
+    public get changedNotificationName(): string {
+        return this._changedNotificationName;
+    }
+
+    /**
+     * Set the name of the notification sent when the data changes
+     *
+     * @param {string} value - The changed notification name.
+     */
+    public set changedNotificationName(value: string) {
+        this._changedNotificationName = value;
+    }
+
+    /**
+     * Get the data object
+     *
+     * @returns {T} The current data.
+     */
+    public override get data(): T {
+        return this._data;
+    }
+
+    /**
+     * Set the data object, and send the changed notification,
+     * unless a batch is in progress.
+     *
+     * @param {T} value - The data to set.
+     */
+    public override set data(value: T) {
+        const oldData: T = this._data;
+        this._data = value;
+        if (this.batchDepth == 0) this.notifyChange(oldData, value);
+    }
+
+    /**
+     * Replace the data with a shallow copy, merged with the given changes.
+     *
+     * @param {Partial<T>} changes - The properties to change.
+     * @returns {void}
+     */
+    public patch(changes: Partial<T>): void {
+        this.data = {...this._data, ...changes} as T;
+    }
+
+    /**
+     * Apply several changes, sending a single changed notification,
+     * comparing the data before and after them, once they are all applied.
+     *
+     * Batches may be nested, the notification is sent when the
+     * outermost one completes, even if `updates` throws.
+     *
+     * @param {() => void} updates - A function changing the data.
+     * @returns {void}
+     */
+    public batch(updates: () => void): void {
+        const oldData: T = this._data;
+        this.batchDepth++;
+        try {
+            updates();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth == 0) this.notifyChange(oldData, this._data);
+        }
+    }
+
+    /**
+     * Send the changed notification, if anything changed.
+     *
+     * @param {T} oldData - The data before the change.
+     * @param {T} newData - The data after the change.
+     * @param {string} [type] - Optional type of the notification.
+     * @returns {void}
+     */
+    protected notifyChange(oldData: T, newData: T, type?: string): void {
+        const changedPaths: string[] = this.diff(oldData, newData);
+        if (changedPaths.length == 0) return;
+
+        const change: ProxyChange<T> = {oldData, newData, changedPaths};
+        this.sendNotification(this.changedNotificationName, change, type);
+    }
+
+    /**
+     * Collect the paths of the values that differ between two values.
+     *
+     * Descends into plain objects and arrays, other values
+     * are compared by identity.
+     *
+     * @param {unknown} oldValue - The value before the change.
+     * @param {unknown} newValue - The value after the change.
+     * @param {string} [path] - The path of the values compared.
+     * @param {string[]} [paths] - The paths collected so far.
+     * @returns {string[]} The paths of the values that changed.
+     */
+    protected diff(oldValue: unknown, newValue: unknown, path: string = "", paths: string[] = []): string[] {
+        if (Object.is(oldValue, newValue)) return paths;
+
+        if (!this.isTraversable(oldValue) || !this.isTraversable(newValue) || Array.isArray(oldValue) != Array.isArray(newValue)) {
+            paths.push(path);
+            return paths;
+        }
+
+        const oldRecord = oldValue as { [key: string]: unknown };
+        const newRecord = newValue as { [key: string]: unknown };
+        const keys: Set<string> = new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)]);
+        for (const key of keys) {
+            this.diff(oldRecord[key], newRecord[key], path == "" ? key : `${path}.${key}`, paths);
+        }
+        return paths;
+    }
+
+    /**
+     * Check if a value is a plain object or an array.
+     *
+     * @param {unknown} value - The value to check.
+     * @returns {boolean} `true` if `diff` descends into the value; otherwise, `false`.
+     */
+    protected isTraversable(value: unknown): boolean {
+        if (value == null || typeof value != "object") return false;
+        const prototype: unknown = Object.getPrototypeOf(value);
+        return Array.isArray(value) || prototype == Object.prototype || prototype == null;
+    }
+
+}
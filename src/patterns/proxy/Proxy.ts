@@ -6,7 +6,7 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {IProxy} from "../../interfaces/IProxy";
+import {IProxy, ProxyReadyState} from "../../interfaces/IProxy";
 import {Notifier} from "../observer/Notifier";
 
 /**
@@ -25,6 +25,11 @@ import {Notifier} from "../observer/Notifier";
  * `Proxy` and listening for a `Notification` to be sent
  * when the `Proxy` has retrieved the data from the service.
  *
+ * A `Proxy` opening a connection or a database may return a
+ * Promise from `onRegister`. Its `readyState` is `"pending"`
+ * until the Promise settles, and `Model.registerProxyAsync`
+ * waits for it.
+ *
  * @see {@link Model}
  *
  * @class Proxy
@@ -47,6 +52,10 @@ export class Proxy extends Notifier implements IProxy {
      * @type {any} _data */
     protected _data?: any;
 
+    /** the readiness of the proxy
+     * @type {ProxyReadyState} _readyState */
+    private _readyState: ProxyReadyState = "pending";
+
     /**
      * Constructor
      *
@@ -62,18 +71,24 @@ export class Proxy extends Notifier implements IProxy {
     /**
      * Called by the Model when the Proxy is registered
      *
-     * @returns {void}
+     * Override to return a Promise, if the Proxy
+     * is not ready until some work is complete.
+     *
+     * @returns {void | Promise<void>}
      */
-    public onRegister(): void {
+    public onRegister(): void | Promise<void> {
 
     }
 
     /**
      * Called by the Model when the Proxy is removed
      *
-     * @returns {void}
+     * Override to return a Promise, if releasing
+     * the Proxy's resources takes some time.
+     *
+     * @returns {void | Promise<void>}
      */
-    public onRemove(): void {
+    public onRemove(): void | Promise<void> {
 
     }
 
@@ -86,6 +101,24 @@ export class Proxy extends Notifier implements IProxy {
         return this._name;
     }
 
+    /**
+     * Get the readiness of the proxy
+     *
+     * @returns {ProxyReadyState} `"pending"` until registered and `onRegister` is complete, then `"ready"` or `"failed"`.
+     */
+    public get readyState(): ProxyReadyState {
+        return this._readyState;
+    }
+
+    /**
+     * Set the readiness of the proxy
+     *
+     * @param {ProxyReadyState} value - The readiness, set by the `Model`.
+     */
+    public set readyState(value: ProxyReadyState) {
+        this._readyState = value;
+    }
+
     /**
      * Get the data object
      *
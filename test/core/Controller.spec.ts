@@ -6,10 +6,12 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import { Controller, IController, View, INotification, Notification } from "../../src";
+import { Controller, IController, View, INotification, Notification, Observer, GuardRejection, CommandMiddleware } from "../../src";
 import {ControllerTestCommand} from "./ControllerTestCommand";
 import {ControllerTestVO} from "./ControllerTestVO";
 import {ControllerTestCommand2} from "./ControllerTestCommand2";
+import {ControllerTestGuardedCommand} from "./ControllerTestGuardedCommand";
+import {ControllerTestGuard} from "./ControllerTestGuard";
 
 /**
  * Test the PureMVC Controller class.
@@ -157,4 +159,182 @@ describe("ControllerTest", () => {
         expect(vo.result).toBe(48);
     });
 
+    /**
+     * Tests that a cancelable Notification canceled by a higher
+     * priority Observer does not execute the mapped Command.
+     */
+    test("testCancelBeforeExecuteCommand", () => {
+        // Fetch the controller, register the ControllerTestCommand to handle 'ControllerCancelTest' notes
+        const controller: IController = Controller.getInstance(() => new Controller());
+        controller.registerCommand("ControllerCancelTest", () => new ControllerTestCommand());
+
+        // Register a validating observer that vetoes notes carrying a negative input
+        const view = View.getInstance(() => new View());
+        view.registerObserver("ControllerCancelTest", new Observer((notification: INotification) => {
+            if ((notification.body as ControllerTestVO).input < 0) notification.cancel();
+        }, {}, 10));
+
+        // A valid note executes the Command
+        const vo = new ControllerTestVO(12);
+        view.notifyObservers(new Notification("ControllerCancelTest", vo, undefined, true));
+        expect(vo.result).toBe(24);
+
+        // An invalid note is canceled and the Command is not executed
+        const invalid = new ControllerTestVO(-12);
+        const notification = new Notification("ControllerCancelTest", invalid, undefined, true);
+        view.notifyObservers(notification);
+
+        // test assertions
+        expect(notification.isCanceled).toBe(true);
+        expect(invalid.result).toBe(0);
+    });
+
+    /**
+     * Tests that a Command is skipped when one of its guards
+     * rejects the Notification, and that the guard rejected
+     * notification is sent instead.
+     */
+    test("testGuardedCommand", () => {
+        // Fetch the controller, register the ControllerTestGuardedCommand to handle 'ControllerGuardTest' notes
+        const controller: IController = Controller.getInstance(() => new Controller());
+        controller.registerCommand("ControllerGuardTest", () => new ControllerTestGuardedCommand());
+
+        // Observe the rejections
+        const rejections: GuardRejection[] = [];
+        const view = View.getInstance(() => new View());
+        view.registerObserver("ControllerGuardTest/rejected", new Observer((notification: INotification) => {
+            rejections.push(notification.body);
+        }, {}));
+
+        // An input approved by both guards executes the Command
+        const vo = new ControllerTestVO(12);
+        controller.executeCommand(new Notification("ControllerGuardTest", vo));
+
+        // An input rejected by the guard class, then by the predicate
+        const negative = new ControllerTestVO(-12);
+        controller.executeCommand(new Notification("ControllerGuardTest", negative));
+        const large = new ControllerTestVO(120);
+        controller.executeCommand(new Notification("ControllerGuardTest", large));
+
+        // test assertions
+        expect(vo.result).toBe(24);
+        expect(negative.result).toBe(0);
+        expect(large.result).toBe(0);
+        expect(rejections.length).toBe(2);
+        expect(rejections[0].guard).toBe(ControllerTestGuard);
+        expect(rejections[0].notification.body).toBe(negative);
+        expect(rejections[0].command).toBeInstanceOf(ControllerTestGuardedCommand);
+        expect(typeof rejections[1].guard).toBe("function");
+        expect(rejections[1].notification.body).toBe(large);
+
+        controller.removeCommand("ControllerGuardTest");
+    });
+
+    /**
+     * Tests that the Commands registered for the same
+     * Notification are executed in order, and that a single
+     * one can be removed by its factory.
+     */
+    test("testMultipleCommands", () => {
+        // Fetch the controller, register 2 Commands to handle 'ControllerMultipleTest' notes
+        const controller: IController = Controller.getInstance(() => new Controller());
+        const order: string[] = [];
+        const first = () => new ControllerTestCommand();
+        const second = () => { order.push("second"); return new ControllerTestCommand2(); };
+        controller.registerCommand("ControllerMultipleTest", () => { order.push("first"); return first(); });
+        controller.registerCommand("ControllerMultipleTest", second);
+
+        // ControllerTestCommand sets the result to 24, then ControllerTestCommand2 adds 24
+        const vo = new ControllerTestVO(12);
+        controller.executeCommand(new Notification("ControllerMultipleTest", vo));
+
+        // test assertions
+        expect(vo.result).toBe(48);
+        expect(order).toEqual(["first", "second"]);
+
+        // Remove the second Command only
+        controller.removeCommand("ControllerMultipleTest", second);
+        const other = new ControllerTestVO(12);
+        controller.executeCommand(new Notification("ControllerMultipleTest", other));
+
+        expect(other.result).toBe(24);
+        expect(controller.hasCommand("ControllerMultipleTest")).toBe(true);
+
+        controller.removeCommand("ControllerMultipleTest");
+        expect(controller.hasCommand("ControllerMultipleTest")).toBe(false);
+    });
+
+    /**
+     * Tests that in strict mode, registering a second
+     * Command for the same Notification throws.
+     */
+    test("testStrictMode", () => {
+        const controller: IController = Controller.getInstance(() => new Controller());
+        controller.strict = true;
+        controller.registerCommand("ControllerStrictTest", () => new ControllerTestCommand());
+
+        // test assertions
+        expect(() => controller.registerCommand("ControllerStrictTest", () => new ControllerTestCommand2()))
+            .toThrow("Command already registered for ControllerStrictTest");
+
+        controller.strict = false;
+        controller.removeCommand("ControllerStrictTest");
+    });
+
+    /**
+     * Tests that middleware wraps the execution of each Command,
+     * in the order added, and may transform the Notification,
+     * short-circuit, or catch errors.
+     */
+    test("testMiddleware", () => {
+        // Fetch the controller, register the ControllerTestCommand to handle 'ControllerMiddlewareTest' notes
+        const controller: IController = Controller.getInstance(() => new Controller());
+        controller.registerCommand("ControllerMiddlewareTest", () => new ControllerTestCommand());
+
+        // A logging middleware, and a middleware doubling the input and skipping negative ones
+        const log: string[] = [];
+        const logging: CommandMiddleware = (notification, commandFactory, next) => {
+            log.push("before " + notification.name);
+            next();
+            log.push("after " + notification.name);
+        };
+        const transforming: CommandMiddleware = (notification, commandFactory, next) => {
+            const vo = notification.body as ControllerTestVO;
+            if (vo.input < 0) return;
+            const doubled = new ControllerTestVO(vo.input * 2);
+            next(new Notification(notification.name, doubled));
+            vo.result = doubled.result;
+        };
+        controller.addMiddleware(logging);
+        controller.addMiddleware(transforming);
+
+        const vo = new ControllerTestVO(12);
+        controller.executeCommand(new Notification("ControllerMiddlewareTest", vo));
+        const negative = new ControllerTestVO(-12);
+        controller.executeCommand(new Notification("ControllerMiddlewareTest", negative));
+
+        // test assertions
+        expect(vo.result).toBe(48);
+        expect(negative.result).toBe(0);
+        expect(log).toEqual([
+            "before ControllerMiddlewareTest", "after ControllerMiddlewareTest",
+            "before ControllerMiddlewareTest", "after ControllerMiddlewareTest"
+        ]);
+
+        // A middleware catching the errors of the Command
+        const errors: unknown[] = [];
+        const catching: CommandMiddleware = (notification, commandFactory, next) => {
+            try { next(); } catch (error) { errors.push(error); }
+        };
+        controller.removeMiddleware(logging);
+        controller.removeMiddleware(transforming);
+        controller.addMiddleware(catching);
+        controller.executeCommand(new Notification("ControllerMiddlewareTest", null));
+
+        expect(errors.length).toBe(1);
+
+        controller.removeMiddleware(catching);
+        controller.removeCommand("ControllerMiddlewareTest");
+    });
+
 });
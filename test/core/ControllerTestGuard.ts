@@ -0,0 +1,32 @@
+//
+//  ControllerTestGuard.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Guard, INotification} from "../../src";
+import {ControllerTestVO} from "./ControllerTestVO";
+
+/**
+ * A Guard subclass used by ControllerTest.
+ *
+ * @see ControllerTest
+ * @see ControllerTestGuardedCommand
+ *
+ * @class ControllerTestGuard
+ * @extends Guard
+ */
+export class ControllerTestGuard extends Guard {
+
+    /**
+     * Approve a positive input
+     *
+     * @param notification the note carrying the ControllerTestVO
+     */
+    public override approve(notification: INotification): boolean {
+        return (notification.body as ControllerTestVO).input > 0;
+    }
+
+}
@@ -0,0 +1,34 @@
+//
+//  ControllerTestGuardedCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {CommandGuard, INotification} from "../../src";
+import {ControllerTestCommand} from "./ControllerTestCommand";
+import {ControllerTestGuard} from "./ControllerTestGuard";
+import {ControllerTestVO} from "./ControllerTestVO";
+
+/**
+ * A guarded ControllerTestCommand used by ControllerTest.
+ *
+ * Executes inputs greater than 0 and less than 100.
+ *
+ * @see ControllerTest
+ * @see ControllerTestGuard
+ *
+ * @class ControllerTestGuardedCommand
+ * @extends ControllerTestCommand
+ */
+export class ControllerTestGuardedCommand extends ControllerTestCommand {
+
+    public guards: CommandGuard[] = [
+        ControllerTestGuard,
+        (notification: INotification) => (notification.body as ControllerTestVO).input < 100
+    ];
+
+    public guardRejectedNotification = "ControllerGuardTest/rejected";
+
+}
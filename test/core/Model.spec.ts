@@ -6,8 +6,9 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {IModel, Model, IProxy, Proxy} from "../../src";
+import {IModel, Model, IProxy, Proxy, View, Observer, INotification} from "../../src";
 import {ModelTestProxy} from "./ModelTestProxy";
+import {ModelTestAsyncProxy} from "./ModelTestAsyncProxy";
 
 /**
  * Test the PureMVC Model class.
@@ -25,6 +26,22 @@ describe("ModelTest", () => {
         expect(model).toBeDefined();
     });
 
+    /**
+     * Tests the Model Multiton Factory Method and removal
+     */
+    test("testGetInstanceWithKey", () => {
+        const model: IModel = Model.getInstance("ModelTestKey", (key: string) => new Model(key));
+        model.registerProxy(new Proxy("keyedProxy"));
+
+        // test assertions
+        expect(model).not.toBe(Model.getInstance(() => new Model()));
+        expect(Model.getInstance("ModelTestKey", (key: string) => new Model(key))).toBe(model);
+        expect(Model.getInstance(() => new Model()).hasProxy("keyedProxy")).toBe(false);
+
+        Model.removeModel("ModelTestKey");
+        expect(Model.getInstance("ModelTestKey", (key: string) => new Model(key))).not.toBe(model);
+    });
+
     /**
      * Tests the proxy registration and retrieval methods.
      *
@@ -116,4 +133,163 @@ describe("ModelTest", () => {
         expect(proxy.data).toBe(ModelTestProxy.ON_REMOVE_CALLED);
     });
 
+    /**
+     * Tests that a Proxy registered with a factory is only
+     * created, and its onRegister method called, when first
+     * retrieved, and that it is removed like any other Proxy.
+     */
+    test("testRegisterProxyFactory", () => {
+        // Get a Singleton Model instance
+        const model: IModel = Model.getInstance(() => new Model());
+
+        // Register a factory for the test proxy
+        let created: number = 0;
+        model.registerProxyFactory(ModelTestProxy.NAME, () => {
+            created++;
+            return new ModelTestProxy();
+        });
+
+        // test assertions
+        expect(created).toBe(0);
+        expect(model.hasProxy(ModelTestProxy.NAME)).toBe(true);
+        expect(created).toBe(1);
+
+        const proxy: IProxy = model.retrieveProxy(ModelTestProxy.NAME) as IProxy;
+        expect(proxy).toBeInstanceOf(ModelTestProxy);
+        expect(proxy.data).toBe(ModelTestProxy.ON_REGISTER_CALLED);
+        expect(created).toBe(1);
+
+        // Remove the proxy
+        expect(model.removeProxy(ModelTestProxy.NAME)).toBe(proxy);
+        expect(proxy.data).toBe(ModelTestProxy.ON_REMOVE_CALLED);
+        expect(model.hasProxy(ModelTestProxy.NAME)).toBe(false);
+
+        // A factory removed before its first retrieval is never called
+        model.registerProxyFactory(ModelTestProxy.NAME, () => {
+            created++;
+            return new ModelTestProxy();
+        });
+        expect(model.removeProxy(ModelTestProxy.NAME)).toBeNull();
+        expect(model.retrieveProxy(ModelTestProxy.NAME)).toBeNull();
+        expect(created).toBe(1);
+    });
+
+    /**
+     * Tests that a factory failing to create its Proxy
+     * stays registered, and can be retried.
+     */
+    test("testRegisterProxyFactoryFails", () => {
+        // Get a Singleton Model instance
+        const model: IModel = Model.getInstance(() => new Model());
+
+        // Register a factory failing on its first call
+        let attempts: number = 0;
+        model.registerProxyFactory(ModelTestProxy.NAME, () => {
+            if (++attempts == 1) throw Error("ModelTestProxy unavailable");
+            return new ModelTestProxy();
+        });
+
+        // test assertions
+        expect(() => model.retrieveProxy(ModelTestProxy.NAME)).toThrow("ModelTestProxy unavailable");
+        expect(model.hasProxy(ModelTestProxy.NAME)).toBe(true);
+        expect(attempts).toBe(2);
+
+        // A factory creating a Proxy with another name also stays registered
+        model.registerProxyFactory("misnamedProxy", () => new ModelTestProxy());
+        expect(() => model.retrieveProxy("misnamedProxy")).toThrow(`Proxy factory for misnamedProxy created Proxy ${ModelTestProxy.NAME}`);
+        expect(() => model.retrieveProxy("misnamedProxy")).toThrow(`Proxy factory for misnamedProxy created Proxy ${ModelTestProxy.NAME}`);
+
+        model.removeProxy("misnamedProxy");
+        model.removeProxy(ModelTestProxy.NAME);
+    });
+
+    /**
+     * Tests that registerProxyAsync and removeProxyAsync wait
+     * for asynchronous onRegister and onRemove methods, and
+     * that the readyState of the Proxy follows its registration.
+     */
+    test("testRegisterProxyAsync", async () => {
+        // Get a Singleton Model instance
+        const model: IModel = Model.getInstance(() => new Model());
+
+        // Register the asynchronous test proxy
+        const proxy: IProxy = new ModelTestAsyncProxy();
+        const registered: Promise<void> = model.registerProxyAsync(proxy);
+
+        // test assertions
+        expect(model.retrieveProxy(ModelTestAsyncProxy.NAME)?.readyState).toBe("pending");
+        await registered;
+        expect(proxy.readyState).toBe("ready");
+        expect(proxy.data).toBe(ModelTestAsyncProxy.OPENED);
+
+        // Remove the proxy
+        expect(await model.removeProxyAsync(ModelTestAsyncProxy.NAME)).toBe(proxy);
+        expect(proxy.data).toBe(ModelTestAsyncProxy.CLOSED);
+    });
+
+    /**
+     * Tests that a Proxy whose onRegister method rejects
+     * is failed, and that Model.PROXY_READY is sent when
+     * notifyProxyReady is set.
+     */
+    test("testProxyReadyNotification", async () => {
+        // Get a Singleton Model instance, sending Model.PROXY_READY
+        const model: Model = Model.getInstance(() => new Model()) as Model;
+        model.notifyProxyReady = true;
+
+        // Observe Model.PROXY_READY
+        const states: string[] = [];
+        View.getInstance(() => new View()).registerObserver(Model.PROXY_READY, new Observer((notification: INotification) => {
+            states.push(notification.type as string);
+        }, {}));
+
+        // Register a failing proxy
+        const proxy: IProxy = new ModelTestAsyncProxy(true);
+
+        // test assertions
+        await expect(model.registerProxyAsync(proxy)).rejects.toThrow("ModelTestAsyncProxy failed to open");
+        expect(proxy.readyState).toBe("failed");
+
+        // A synchronous Proxy is ready at once
+        const syncProxy: IProxy = new ModelTestProxy();
+        model.registerProxy(syncProxy);
+        expect(syncProxy.readyState).toBe("ready");
+        expect(states).toEqual(["failed", "ready"]);
+
+        model.notifyProxyReady = false;
+        await model.removeProxyAsync(ModelTestAsyncProxy.NAME);
+        model.removeProxy(ModelTestProxy.NAME);
+    });
+
+    /**
+     * Tests that a Proxy whose onRemove method rejects is
+     * removed, and failed, without an unhandled rejection.
+     */
+    test("testRemoveProxyFails", async () => {
+        // Get a Singleton Model instance
+        const model: IModel = Model.getInstance(() => new Model());
+        const unhandled: unknown[] = [];
+        const onUnhandled = (reason: unknown) => unhandled.push(reason);
+        process.on("unhandledRejection", onUnhandled);
+
+        // Register, then remove, a proxy failing to close
+        const proxy: IProxy = new ModelTestAsyncProxy(false, true);
+        await model.registerProxyAsync(proxy);
+        expect(model.removeProxy(ModelTestAsyncProxy.NAME)).toBe(proxy);
+
+        // test assertions
+        expect(model.hasProxy(ModelTestAsyncProxy.NAME)).toBe(false);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        expect(proxy.readyState).toBe("failed");
+        expect(proxy.data).toBe(ModelTestAsyncProxy.OPENED);
+        expect(unhandled).toEqual([]);
+
+        // removeProxyAsync rejects instead
+        await model.registerProxyAsync(proxy);
+        await expect(model.removeProxyAsync(ModelTestAsyncProxy.NAME)).rejects.toThrow("ModelTestAsyncProxy failed to close");
+        expect(proxy.readyState).toBe("failed");
+
+        process.off("unhandledRejection", onUnhandled);
+    });
+
 });
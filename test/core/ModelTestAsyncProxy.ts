@@ -0,0 +1,45 @@
+//
+//  ModelTestAsyncProxy.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Proxy} from "../../src";
+
+/**
+ * A Proxy subclass with asynchronous lifecycle hooks, used by ModelTest.
+ *
+ * @class ModelTestAsyncProxy
+ * @extends Proxy
+ */
+export class ModelTestAsyncProxy extends Proxy {
+
+    public static NAME: string = "ModelTestAsyncProxy";
+    public static OPENED: string = "Opened";
+    public static CLOSED: string = "Closed";
+
+    private readonly fail: boolean;
+
+    private readonly failRemove: boolean;
+
+    public constructor(fail: boolean = false, failRemove: boolean = false) {
+        super(ModelTestAsyncProxy.NAME, "");
+        this.fail = fail;
+        this.failRemove = failRemove;
+    }
+
+    public override async onRegister(): Promise<void> {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (this.fail) throw Error("ModelTestAsyncProxy failed to open");
+        this.data = ModelTestAsyncProxy.OPENED;
+    }
+
+    public override async onRemove(): Promise<void> {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (this.failRemove) throw Error("ModelTestAsyncProxy failed to close");
+        this.data = ModelTestAsyncProxy.CLOSED;
+    }
+
+}
@@ -14,6 +14,8 @@ import {ViewTestMediator3} from "./ViewTestMediator3";
 import {ViewTestMediator4} from "./ViewTestMediator4";
 import {ViewTestMediator5} from "./ViewTestMediator5";
 import {ViewTestMediator6} from "./ViewTestMediator6";
+import {ViewTestMediator7} from "./ViewTestMediator7";
+import {ViewTestMediator8} from "./ViewTestMediator8";
 
 /**
  * Test the PureMVC View class.
@@ -78,6 +80,476 @@ describe("ViewTest", () => {
         expect(viewTestVar).toBe(10);
     });
 
+    /**
+     * Tests that Observers are notified in order of priority,
+     * and that Observers of equal priority are notified in the
+     * order in which they were registered.
+     */
+    test("testObserverPriority", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const order: string[] = [];
+        const observer = (name: string, priority?: number): IObserver => {
+            return new Observer(() => order.push(name), {}, priority);
+        };
+
+        view.registerObserver("ViewTestPriorityNote", observer("default1"));
+        view.registerObserver("ViewTestPriorityNote", observer("high", 10));
+        view.registerObserver("ViewTestPriorityNote", observer("low", -10));
+        view.registerObserver("ViewTestPriorityNote", observer("default2"));
+        view.registerObserver("ViewTestPriorityNote", observer("medium", 5));
+        view.registerObserver("ViewTestPriorityNote", observer("high2", 10));
+
+        view.notifyObservers(new Notification("ViewTestPriorityNote"));
+
+        // test assertions
+        expect(order).toEqual(["high", "high2", "medium", "default1", "default2", "low"]);
+    });
+
+    /**
+     * Tests that a Mediator registered with a priority is notified
+     * before Observers registered earlier with the default priority.
+     */
+    test("testRegisterMediatorWithPriority", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const obj = {lastNotification: ""};
+        let lastNotificationSeenByObserver: string = "unset";
+        view.registerObserver(ViewTestNote.NOTE1, new Observer(() => {
+            lastNotificationSeenByObserver = obj.lastNotification;
+        }, {}));
+
+        // ViewTestMediator2 records the notification name on obj
+        view.registerMediator(new ViewTestMediator2(obj), 1);
+        view.notifyObservers(new Notification(ViewTestNote.NOTE1));
+
+        // test assertions
+        expect(lastNotificationSeenByObserver).toBe(ViewTestNote.NOTE1);
+
+        view.removeMediator(ViewTestMediator2.NAME);
+    });
+
+    /**
+     * Tests that an Observer can stop the remaining
+     * Observers from being notified.
+     */
+    test("testStopPropagation", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const notified: string[] = [];
+        view.registerObserver("ViewTestStopNote", new Observer(() => notified.push("first"), {}));
+        view.registerObserver("ViewTestStopNote", new Observer((notification: INotification) => {
+            notified.push("second");
+            notification.stopPropagation();
+        }, {}));
+        view.registerObserver("ViewTestStopNote", new Observer(() => notified.push("third"), {}));
+
+        const notification: INotification = new Notification("ViewTestStopNote");
+        view.notifyObservers(notification);
+
+        // test assertions
+        expect(notified).toEqual(["first", "second"]);
+        expect(notification.isPropagationStopped).toBe(true);
+    });
+
+    /**
+     * Tests that under the default "rethrow" policy a failing
+     * Observer stops the notification loop, and that the failure
+     * is reported to the error handler.
+     */
+    test("testErrorPolicyRethrow", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+        expect(view.errorPolicy).toBe("rethrow");
+
+        const failures: [unknown, INotification, IObserver][] = [];
+        view.errorHandler = (error, notification, observer) => failures.push([error, notification, observer]);
+
+        const notified: string[] = [];
+        const failing: IObserver = new Observer(() => { throw new Error("first failed"); }, {});
+        view.registerObserver("ViewTestRethrowNote", failing);
+        view.registerObserver("ViewTestRethrowNote", new Observer(() => notified.push("second"), {}));
+
+        const notification: INotification = new Notification("ViewTestRethrowNote");
+
+        // test assertions
+        expect(() => view.notifyObservers(notification)).toThrow("first failed");
+        expect(notified).toEqual([]);
+        expect(failures.length).toBe(1);
+        expect(failures[0][1]).toBe(notification);
+        expect(failures[0][2]).toBe(failing);
+
+        view.errorHandler = null;
+    });
+
+    /**
+     * Tests that under the "isolate" policy the remaining
+     * Observers are notified after one of them fails.
+     */
+    test("testErrorPolicyIsolate", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+        view.errorPolicy = "isolate";
+
+        const errors: unknown[] = [];
+        view.errorHandler = (error) => errors.push(error);
+
+        const notified: string[] = [];
+        view.registerObserver("ViewTestIsolateNote", new Observer(() => { throw new Error("first failed"); }, {}));
+        view.registerObserver("ViewTestIsolateNote", new Observer(() => notified.push("second"), {}));
+
+        view.notifyObservers(new Notification("ViewTestIsolateNote"));
+
+        // test assertions
+        expect(notified).toEqual(["second"]);
+        expect((errors[0] as Error).message).toBe("first failed");
+
+        view.errorPolicy = "rethrow";
+        view.errorHandler = null;
+    });
+
+    /**
+     * Tests that under the "aggregate" policy every Observer is
+     * notified, and all failures are thrown as an AggregateError.
+     */
+    test("testErrorPolicyAggregate", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+        view.errorPolicy = "aggregate";
+
+        const notified: string[] = [];
+        view.registerObserver("ViewTestAggregateNote", new Observer(() => { throw new Error("first failed"); }, {}));
+        view.registerObserver("ViewTestAggregateNote", new Observer(() => notified.push("second"), {}));
+        view.registerObserver("ViewTestAggregateNote", new Observer(() => { throw new Error("third failed"); }, {}));
+
+        let error: unknown;
+        try {
+            view.notifyObservers(new Notification("ViewTestAggregateNote"));
+        } catch (e) {
+            error = e;
+        }
+
+        // test assertions
+        expect(notified).toEqual(["second"]);
+        expect(error).toBeInstanceOf(AggregateError);
+        expect((error as AggregateError).errors.map((e: Error) => e.message)).toEqual(["first failed", "third failed"]);
+
+        view.errorPolicy = "rethrow";
+    });
+
+    /**
+     * Tests that the error policy also applies to asynchronous
+     * failures when notifying with notifyObserversAsync.
+     */
+    test("testErrorPolicyAsync", async () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const failures: IObserver[] = [];
+        view.errorHandler = (error, notification, observer) => failures.push(observer);
+
+        const failing: IObserver = new Observer(async () => { throw new Error("async failed"); }, {});
+        view.registerObserver("ViewTestAsyncErrorNote", failing);
+        view.registerObserver("ViewTestAsyncErrorNote", new Observer(() => { throw new Error("sync failed"); }, {}));
+
+        // rethrow rejects with the sync failure thrown first
+        await expect(view.notifyObserversAsync(new Notification("ViewTestAsyncErrorNote"))).rejects.toThrow("sync failed");
+
+        // isolate resolves
+        view.errorPolicy = "isolate";
+        await expect(view.notifyObserversAsync(new Notification("ViewTestAsyncErrorNote"))).resolves.toBeUndefined();
+
+        // aggregate rejects with both failures
+        view.errorPolicy = "aggregate";
+        await expect(view.notifyObserversAsync(new Notification("ViewTestAsyncErrorNote"))).rejects.toBeInstanceOf(AggregateError);
+
+        // test assertions
+        expect(failures.filter(observer => observer == failing).length).toBe(3);
+
+        view.errorPolicy = "rethrow";
+        view.errorHandler = null;
+    });
+
+    /**
+     * Tests registering Observers for Notification name patterns.
+     */
+    test("testRegisterAndNotifyPatternObserver", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const notified: string[] = [];
+        const context = {};
+        view.registerObserver("pattern/user/*", new Observer((note: INotification) => notified.push(`user: ${note.name}`), context));
+        view.registerObserver("pattern/*/success", new Observer((note: INotification) => notified.push(`success: ${note.name}`), context, 1));
+        view.registerObserver("pattern/user/logout", new Observer((note: INotification) => notified.push(`exact: ${note.name}`), {}));
+
+        view.notifyObservers(new Notification("pattern/user/login/success"));
+        view.notifyObservers(new Notification("pattern/user/logout"));
+        view.notifyObservers(new Notification("pattern/admin/login"));
+        view.notifyObservers(new Notification("pattern/user"));
+
+        // test assertions
+        expect(notified).toEqual([
+            "success: pattern/user/login/success",
+            "user: pattern/user/login/success",
+            "exact: pattern/user/logout",
+            "user: pattern/user/logout"
+        ]);
+
+        // Remove the pattern Observers
+        view.removeObserver("pattern/user/*", context);
+        view.removeObserver("pattern/*/success", context);
+        notified.length = 0;
+
+        view.notifyObservers(new Notification("pattern/user/login/success"));
+
+        // test assertions
+        expect(notified).toEqual([]);
+    });
+
+    /**
+     * Tests that pattern characters other than `*` are matched literally.
+     */
+    test("testPatternObserverEscaping", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        let count: number = 0;
+        view.registerObserver("escape.note(*)", new Observer(() => count++, {}));
+
+        view.notifyObservers(new Notification("escape.note(1)"));
+        view.notifyObservers(new Notification("escapeXnote(1)"));
+
+        // test assertions
+        expect(count).toBe(1);
+    });
+
+    /**
+     * Tests a Mediator with pattern interests, which is notified once
+     * when a Notification matches several of its interests, and is
+     * no longer notified after removal.
+     */
+    test("testMediatorPatternInterests", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const obj = {notifications: [] as string[]};
+        view.registerMediator(new ViewTestMediator7(obj));
+
+        view.notifyObservers(new Notification(ViewTestNote.USER_LOGIN_SUCCESS));
+        view.notifyObservers(new Notification(ViewTestNote.USER_LOGOUT));
+
+        // test assertions
+        expect(obj.notifications).toEqual([ViewTestNote.USER_LOGIN_SUCCESS, ViewTestNote.USER_LOGOUT]);
+
+        // Remove the Mediator
+        view.removeMediator(ViewTestMediator7.NAME);
+        obj.notifications = [];
+
+        view.notifyObservers(new Notification(ViewTestNote.USER_LOGIN_SUCCESS));
+        view.notifyObservers(new Notification(ViewTestNote.USER_LOGOUT));
+
+        // test assertions
+        expect(obj.notifications).toEqual([]);
+    });
+
+    /**
+     * Tests updating the interests of a registered Mediator.
+     */
+    test("testUpdateMediatorInterests", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const obj = {notifications: [] as string[]};
+        const mediator = new ViewTestMediator8(obj, [ViewTestNote.NOTE1, ViewTestNote.NOTE2]);
+        view.registerMediator(mediator);
+
+        // drop NOTE1, keep NOTE2 and add NOTE3
+        mediator.interests = [ViewTestNote.NOTE2, ViewTestNote.NOTE3];
+        view.updateMediatorInterests(ViewTestMediator8.NAME);
+
+        view.notifyObservers(new Notification(ViewTestNote.NOTE1));
+        view.notifyObservers(new Notification(ViewTestNote.NOTE2));
+        view.notifyObservers(new Notification(ViewTestNote.NOTE3));
+
+        // test assertions
+        expect(obj.notifications).toEqual([ViewTestNote.NOTE2, ViewTestNote.NOTE3]);
+
+        view.removeMediator(ViewTestMediator8.NAME);
+    });
+
+    /**
+     * Tests that removing a Mediator removes the Observers it was
+     * registered with, even if its interests changed in between.
+     */
+    test("testRemoveMediatorAfterInterestsChanged", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const obj = {notifications: [] as string[]};
+        const mediator = new ViewTestMediator8(obj, [ViewTestNote.NOTE4]);
+        view.registerMediator(mediator);
+
+        // change the interests without updating the View, then remove the Mediator
+        mediator.interests = [];
+        view.removeMediator(ViewTestMediator8.NAME);
+
+        view.notifyObservers(new Notification(ViewTestNote.NOTE4));
+
+        // test assertions
+        expect(obj.notifications).toEqual([]);
+    });
+
+    /**
+     * Tests that an Observer registered once is only
+     * notified of the next Notification.
+     */
+    test("testRegisterObserverOnce", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const notified: number[] = [];
+        view.registerObserverOnce("ViewTestOnceNote", new Observer((note: INotification) => notified.push(note.body), {}));
+
+        view.notifyObservers(new Notification("ViewTestOnceNote", 1));
+        view.notifyObservers(new Notification("ViewTestOnceNote", 2));
+
+        // test assertions
+        expect(notified).toEqual([1]);
+    });
+
+    /**
+     * Tests that an Observer limited by count is removed after
+     * its last notification, even when the Notification is sent
+     * again from within its notification method.
+     */
+    test("testRegisterObserverLimitedCount", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const notified: number[] = [];
+        view.registerObserverLimited("ViewTestLimitedNote", new Observer((note: INotification) => {
+            notified.push(note.body);
+            if (note.body < 5) view.notifyObservers(new Notification("ViewTestLimitedNote", note.body + 1));
+        }, {}), 3);
+
+        view.notifyObservers(new Notification("ViewTestLimitedNote", 1));
+
+        // test assertions
+        expect(notified).toEqual([1, 2, 3]);
+    });
+
+    /**
+     * Tests that an Observer limited by time to live is
+     * no longer notified once it has expired.
+     */
+    test("testRegisterObserverLimitedTTL", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+        const context = {};
+        const notified: number[] = [];
+        view.registerObserverLimited("ViewTestTTLNote", new Observer((note: INotification) => notified.push(note.body), context), undefined, 100);
+
+        view.notifyObservers(new Notification("ViewTestTTLNote", 1));
+        now.mockReturnValue(1099);
+        view.notifyObservers(new Notification("ViewTestTTLNote", 2));
+        now.mockReturnValue(1100);
+        view.notifyObservers(new Notification("ViewTestTTLNote", 3));
+        now.mockRestore();
+        view.notifyObservers(new Notification("ViewTestTTLNote", 4));
+
+        // test assertions
+        expect(notified).toEqual([1, 2]);
+    });
+
+    /**
+     * Tests that an Observer limited by time to live is removed
+     * when it expires, without waiting for a Notification.
+     */
+    test("testRegisterObserverLimitedExpiry", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        // fake the timers only, so that the observer has not expired by the clock
+        jest.useFakeTimers({doNotFake: ["Date"]});
+        const notified: number[] = [];
+        view.registerObserverLimited("ViewTestExpiryNote", new Observer((note: INotification) => notified.push(note.body), {}), undefined, 100);
+        jest.advanceTimersByTime(100);
+        view.notifyObservers(new Notification("ViewTestExpiryNote", 1));
+
+        // An observer removed early clears its timer
+        const context = {};
+        view.registerObserverLimited("ViewTestExpiryNote", new Observer(() => undefined, context), undefined, 100);
+        expect(jest.getTimerCount()).toBe(1);
+        view.removeObserver("ViewTestExpiryNote", context);
+        expect(jest.getTimerCount()).toBe(0);
+        jest.useRealTimers();
+
+        // test assertions
+        expect(notified).toEqual([]);
+    });
+
+    /**
+     * Tests that an Observer limited to zero notifications is not registered.
+     */
+    test("testRegisterObserverLimitedZero", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const notified: number[] = [];
+        view.registerObserverLimited("ViewTestZeroNote", new Observer((note: INotification) => notified.push(note.body), {}), 0);
+        view.registerObserverLimited("ViewTestZeroNote", new Observer((note: INotification) => notified.push(note.body), {}), -1);
+        view.notifyObservers(new Notification("ViewTestZeroNote", 1));
+
+        // test assertions
+        expect(notified).toEqual([]);
+    });
+
+    /**
+     * Tests that a limited Observer sharing its context with a
+     * Mediator is left alone when the Mediator is removed.
+     */
+    test("testLimitedObserverWithMediatorContext", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const component: { lastNotification?: string } = {};
+        const mediator = new ViewTestMediator2(component);
+        const notified: string[] = [];
+        view.registerObserverOnce(ViewTestNote.NOTE1, new Observer((note: INotification) => notified.push(note.name), mediator));
+        view.registerMediator(mediator);
+        view.removeMediator(ViewTestMediator2.NAME);
+
+        view.notifyObservers(new Notification(ViewTestNote.NOTE1));
+
+        // test assertions
+        expect(component.lastNotification).toBeUndefined();
+        expect(notified).toEqual([ViewTestNote.NOTE1]);
+    });
+
+    /**
+     * Tests that a limited Observer can be removed early by its context.
+     */
+    test("testRemoveLimitedObserver", () => {
+        // Get the Singleton View instance
+        const view: IView = View.getInstance(() => new View());
+
+        const context = {};
+        const notified: number[] = [];
+        view.registerObserverOnce("ViewTestRemoveOnceNote", new Observer((note: INotification) => notified.push(note.body), context));
+        view.removeObserver("ViewTestRemoveOnceNote", context);
+
+        view.notifyObservers(new Notification("ViewTestRemoveOnceNote", 1));
+
+        // test assertions
+        expect(notified).toEqual([]);
+    });
+
     /**
      * Tests registering and retrieving a mediator with
      * the View.
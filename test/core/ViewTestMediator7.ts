@@ -0,0 +1,45 @@
+//
+//  ViewTestMediator7.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Mediator, INotification} from "../../src";
+import {ViewTestNote} from "./ViewTestNote";
+
+/**
+ * @class ViewTestMediator7
+ * @extends Mediator
+ */
+export class ViewTestMediator7 extends Mediator {
+
+    public static NAME: string = "ViewTestMediator7";
+
+    /**
+     * @constructor
+     * @param {object} view
+     */
+    public constructor(view: any) {
+        super(ViewTestMediator7.NAME, view);
+    }
+
+    /**
+     * @override
+     * @returns {[string]}
+     */
+    public override listNotificationInterests(): string[] {
+        // a pattern, and an exact name also matched by the pattern
+        return [ViewTestNote.USER_PATTERN, ViewTestNote.USER_LOGOUT];
+    }
+
+    /**
+     * @override
+     * @param notification
+     */
+    public override handleNotification(notification: INotification) {
+        this.viewComponent.notifications.push(notification.name);
+    }
+
+}
@@ -0,0 +1,48 @@
+//
+//  ViewTestMediator8.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Mediator, INotification} from "../../src";
+
+/**
+ * @class ViewTestMediator8
+ * @extends Mediator
+ */
+export class ViewTestMediator8 extends Mediator {
+
+    public static NAME: string = "ViewTestMediator8";
+
+    /** the notification interests, changed by the tests */
+    public interests: string[];
+
+    /**
+     * @constructor
+     * @param {object} view
+     * @param {string[]} interests
+     */
+    public constructor(view: any, interests: string[]) {
+        super(ViewTestMediator8.NAME, view);
+        this.interests = interests;
+    }
+
+    /**
+     * @override
+     * @returns {[string]}
+     */
+    public override listNotificationInterests(): string[] {
+        return this.interests;
+    }
+
+    /**
+     * @override
+     * @param notification
+     */
+    public override handleNotification(notification: INotification) {
+        this.viewComponent.notifications.push(notification.name);
+    }
+
+}
@@ -19,6 +19,10 @@ export class ViewTestNote extends Notification {
     public static NOTE5: string = "Notification5";
     public static NOTE6: string = "Notification6";
 
+    public static USER_PATTERN: string = "user/*";
+    public static USER_LOGIN_SUCCESS: string = "user/login/success";
+    public static USER_LOGOUT: string = "user/logout";
+
     /**
      *
      * @param {string} name
@@ -0,0 +1,118 @@
+//
+//  AsyncCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Facade, INotification, IView, Notification, View} from "../../../src";
+import {AsyncCommandTestVO} from "./AsyncCommandTestVO";
+import {AsyncCommandTestCommand} from "./AsyncCommandTestCommand";
+
+/**
+ * Test the PureMVC AsyncCommand class.
+ *
+ * @see AsyncCommandTestVO
+ * @see AsyncCommandTestCommand
+ */
+describe("AsyncCommandTest", () => {
+
+    /**
+     * Tests the `execute` method of an `AsyncCommand`.
+     *
+     * Success is determined by evaluating a property on the
+     * object that was passed on the Notification body, once
+     * the Promise returned by `execute` has settled.
+     */
+    test("testAsyncCommandExecute", async () => {
+        // Create the VO
+        const vo = new AsyncCommandTestVO(5);
+
+        // Create the Notification (note)
+        const notification = new Notification("AsyncCommandTestNote", vo);
+
+        // Create the AsyncCommand
+        const command = new AsyncCommandTestCommand();
+
+        // Execute the AsyncCommand, the result is not available yet
+        const promise: Promise<void> = command.execute(notification);
+        expect(vo.result).toBe(0);
+
+        // test assertions
+        await promise;
+        expect(vo.result).toBe(10);
+    });
+
+    /**
+     * Tests that `Facade.sendNotificationAsync` settles only
+     * when the asynchronous command it triggered is done.
+     */
+    test("testSendNotificationAsync", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+        facade.registerCommand("AsyncCommandTestNote", () => new AsyncCommandTestCommand());
+
+        const vo = new AsyncCommandTestVO(8);
+        await facade.sendNotificationAsync("AsyncCommandTestNote", vo);
+
+        // test assertions
+        expect(vo.result).toBe(16);
+
+        facade.removeCommand("AsyncCommandTestNote");
+    });
+
+    /**
+     * Tests that a failing asynchronous command rejects
+     * the Promise returned by `Facade.sendNotificationAsync`.
+     */
+    test("testSendNotificationAsyncRejects", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+        facade.registerCommand("AsyncCommandFailNote", () => new AsyncCommandTestCommand());
+
+        const vo = new AsyncCommandTestVO(-1);
+
+        // test assertions
+        await expect(facade.sendNotificationAsync("AsyncCommandFailNote", vo)).rejects.toThrow("Negative input");
+        expect(vo.result).toBe(0);
+
+        facade.removeCommand("AsyncCommandFailNote");
+    });
+
+    /**
+     * Tests that a failing asynchronous command triggered by
+     * `Facade.sendNotification` reaches the error handler of the
+     * `View`, without causing an unhandled Promise rejection.
+     */
+    test("testSendNotificationAsyncCommandFails", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+        facade.registerCommand("AsyncCommandFailNote", () => new AsyncCommandTestCommand());
+
+        const view: IView = View.getInstance(() => new View());
+        const unhandled: unknown[] = [];
+        const onUnhandled = (reason: unknown) => unhandled.push(reason);
+        process.on("unhandledRejection", onUnhandled);
+
+        const handled: Promise<unknown> = new Promise(resolve => {
+            view.errorHandler = (error: unknown, notification: INotification) => resolve([error, notification.name]);
+        });
+
+        // under every policy, the failure only reaches the error handler
+        for (const policy of ["rethrow", "isolate", "aggregate"] as const) {
+            view.errorPolicy = policy;
+            facade.sendNotification("AsyncCommandFailNote", new AsyncCommandTestVO(-1));
+        }
+
+        // test assertions
+        const [error, name] = await handled as [Error, string];
+        expect(error.message).toBe("Negative input");
+        expect(name).toBe("AsyncCommandFailNote");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(unhandled).toEqual([]);
+
+        process.off("unhandledRejection", onUnhandled);
+        view.errorHandler = null;
+        view.errorPolicy = "rethrow";
+        facade.removeCommand("AsyncCommandFailNote");
+    });
+
+});
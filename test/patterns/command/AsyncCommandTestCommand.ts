@@ -0,0 +1,37 @@
+//
+//  AsyncCommandTestCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {AsyncCommand, INotification} from "../../../src";
+import {AsyncCommandTestVO} from "./AsyncCommandTestVO";
+
+/**
+ * An AsyncCommand subclass used by AsyncCommandTest.
+ *
+ * @class AsyncCommandTestCommand
+ * @extends AsyncCommand
+ */
+export class AsyncCommandTestCommand extends AsyncCommand {
+
+    /**
+     * Fabricate a result by multiplying the input by 2,
+     * after yielding to the event loop. A negative input
+     * causes the command to fail.
+     *
+     * @param {Notification} notification event the `INotification` carrying the `AsyncCommandTestVO`
+     */
+    public override async execute(notification: INotification): Promise<void> {
+        const vo: AsyncCommandTestVO = notification.body as AsyncCommandTestVO;
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (vo.input < 0) throw new Error("Negative input");
+
+        // Fabricate a result
+        vo.result = vo.input * 2;
+    }
+
+}
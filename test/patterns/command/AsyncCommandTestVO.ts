@@ -0,0 +1,31 @@
+//
+//  AsyncCommandTestVO.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+/**
+ * A utility class used by AsyncCommandTest.
+ *
+ * @see AsyncCommandTest
+ * @see AsyncCommandTestCommand
+ *
+ * @class AsyncCommandTestVO
+ */
+export class AsyncCommandTestVO {
+
+    public input: number;
+    public result: number = 0;
+
+    /**
+     * Constructor.
+     *
+     * @param {number} input the number to be fed to the AsyncCommandTestCommand
+     */
+    constructor(input: number) {
+        this.input = input;
+    }
+
+}
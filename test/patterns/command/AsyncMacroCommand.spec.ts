@@ -0,0 +1,68 @@
+//
+//  AsyncMacroCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Notification} from "../../../src";
+import {AsyncMacroCommandTestVO} from "./AsyncMacroCommandTestVO";
+import {AsyncMacroCommandTestCommand} from "./AsyncMacroCommandTestCommand";
+
+/**
+ * Test the PureMVC AsyncMacroCommand class.
+ *
+ * @see AsyncMacroCommandTestVO
+ * @see AsyncMacroCommandTestCommand
+ */
+describe("AsyncMacroCommandTest", () => {
+
+    /**
+     * Tests operation of an `AsyncMacroCommand`.
+     *
+     * The `AsyncMacroCommandTestCommand` adds 2 SubCommands,
+     * an asynchronous `AsyncMacroCommandTestSub1Command`,
+     * which multiplies the input by 2 after a delay, and
+     * a synchronous `AsyncMacroCommandTestSub2Command`,
+     * which adds the input to the first result.
+     *
+     * The second result is only correct if the second
+     * SubCommand waited for the first one to complete.
+     */
+    test("testAsyncMacroCommandExecute", async () => {
+        // Create the VO
+        const vo = new AsyncMacroCommandTestVO(5);
+
+        // Create the Notification
+        const notification = new Notification("AsyncMacroCommandTest", vo);
+
+        // Create and execute the AsyncMacroCommand
+        const command = new AsyncMacroCommandTestCommand();
+        await command.execute(notification);
+
+        // test assertions
+        expect(vo.result1).toBe(10);
+        expect(vo.result2).toBe(15);
+    });
+
+    /**
+     * Tests that an `AsyncMacroCommand` keeps its SubCommands,
+     * so the same instance can be executed more than once.
+     */
+    test("testAsyncMacroCommandExecuteTwice", async () => {
+        const command = new AsyncMacroCommandTestCommand();
+
+        // Execute the AsyncMacroCommand twice
+        const vo1 = new AsyncMacroCommandTestVO(5);
+        await command.execute(new Notification("AsyncMacroCommandTest", vo1));
+        const vo2 = new AsyncMacroCommandTestVO(3);
+        await command.execute(new Notification("AsyncMacroCommandTest", vo2));
+
+        // test assertions
+        expect(vo2.result1).toBe(6);
+        expect(vo2.result2).toBe(9);
+        expect(command.subCommandFactories.length).toBe(2);
+    });
+
+});
@@ -0,0 +1,39 @@
+//
+//  AsyncMacroCommandTestSub1Command.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {AsyncCommand, INotification} from "../../../src";
+import {AsyncMacroCommandTestVO} from "./AsyncMacroCommandTestVO";
+
+/**
+ * An AsyncCommand subclass used by AsyncMacroCommandTestCommand.
+ *
+ * @see AsyncMacroCommandTest
+ * @see AsyncMacroCommandTestCommand
+ * @see AsyncMacroCommandTestVO
+ *
+ * @class AsyncMacroCommandTestSub1Command
+ * @extends AsyncCommand
+ */
+export class AsyncMacroCommandTestSub1Command extends AsyncCommand {
+
+    /**
+     * Fabricate a result by multiplying the input by 2,
+     * after yielding to the event loop.
+     *
+     * @param {Notification} notification event the `INotification` carrying the `AsyncMacroCommandTestVO`
+     */
+    public override async execute(notification: INotification): Promise<void> {
+        const vo = notification.body as AsyncMacroCommandTestVO;
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        // Fabricate a result
+        vo.result1 = 2 * vo.input;
+    }
+
+}
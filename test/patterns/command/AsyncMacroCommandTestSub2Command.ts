@@ -0,0 +1,37 @@
+//
+//  AsyncMacroCommandTestSub2Command.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {SimpleCommand, INotification} from "../../../src";
+import {AsyncMacroCommandTestVO} from "./AsyncMacroCommandTestVO";
+
+/**
+ * A SimpleCommand subclass used by AsyncMacroCommandTestCommand.
+ *
+ * @see AsyncMacroCommandTest
+ * @see AsyncMacroCommandTestCommand
+ * @see AsyncMacroCommandTestVO
+ *
+ * @class AsyncMacroCommandTestSub2Command
+ * @extends SimpleCommand
+ */
+export class AsyncMacroCommandTestSub2Command extends SimpleCommand {
+
+    /**
+     * Fabricate a result by adding the input to the
+     * result of AsyncMacroCommandTestSub1Command.
+     *
+     * @param {Notification} notification event the `INotification` carrying the `AsyncMacroCommandTestVO`
+     */
+    public override execute(notification: INotification) {
+        const vo = notification.body as AsyncMacroCommandTestVO;
+
+        // Fabricate a result
+        vo.result2 = (vo.result1 ?? 0) + vo.input;
+    }
+
+}
@@ -0,0 +1,34 @@
+//
+//  AsyncMacroCommandTestVO.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+/**
+ * A utility class used by AsyncMacroCommandTest.
+ *
+ * @see AsyncMacroCommandTest
+ * @see AsyncMacroCommandTestCommand
+ * @see AsyncMacroCommandTestSub1Command
+ * @see AsyncMacroCommandTestSub2Command
+ *
+ * @class AsyncMacroCommandTestVO
+ */
+export class AsyncMacroCommandTestVO {
+
+    public input: number;
+    public result1: number | undefined;
+    public result2: number | undefined;
+
+    /**
+     * Constructor.
+     *
+     * @param {number} input the number to be fed to the AsyncMacroCommandTestCommand
+     */
+    constructor(input: number) {
+        this.input = input;
+    }
+
+}
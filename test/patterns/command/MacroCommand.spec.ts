@@ -9,6 +9,10 @@
 import {Notification} from "../../../src";
 import {MacroCommandTestVO} from "./MacroCommandTestVO";
 import {MacroCommandTestCommand} from "./MacroCommandTestCommand";
+import {MacroCommandTestAsyncCommand} from "./MacroCommandTestAsyncCommand";
+import {AsyncCommandTestVO} from "./AsyncCommandTestVO";
+import {MacroCommandTestSub1Command} from "./MacroCommandTestSub1Command";
+import {MacroCommandTestSub2Command} from "./MacroCommandTestSub2Command";
 
 /**
  * Test the PureMVC SimpleCommand class.
@@ -63,4 +67,46 @@ describe("MacroCommandTest", () => {
         expect(vo.result2).toBe(25);
     });
 
+    /**
+     * Tests that a `MacroCommand` keeps its SubCommands,
+     * so the same instance can be executed more than once,
+     * and that the factories of its SubCommands can be inspected.
+     */
+    test("testMacroCommandExecuteTwice", () => {
+        const command: MacroCommandTestCommand = new MacroCommandTestCommand();
+
+        // Execute the MacroCommand twice
+        const vo1: MacroCommandTestVO = new MacroCommandTestVO(5);
+        command.execute(new Notification("MacroCommandTest", vo1));
+        const vo2: MacroCommandTestVO = new MacroCommandTestVO(3);
+        command.execute(new Notification("MacroCommandTest", vo2));
+
+        // test assertions
+        expect(vo2.result1).toBe(6);
+        expect(vo2.result2).toBe(9);
+        expect(command.subCommandFactories.length).toBe(2);
+        expect(command.subCommandFactories[0]()).toBeInstanceOf(MacroCommandTestSub1Command);
+        expect(command.subCommandFactories[1]()).toBeInstanceOf(MacroCommandTestSub2Command);
+    });
+
+    /**
+     * Tests that a `MacroCommand` throws when a SubCommand
+     * is asynchronous, instead of dropping its Promise.
+     */
+    test("testMacroCommandAsyncSubCommand", async () => {
+        const unhandled: unknown[] = [];
+        const onUnhandled = (reason: unknown) => unhandled.push(reason);
+        process.on("unhandledRejection", onUnhandled);
+
+        const command: MacroCommandTestAsyncCommand = new MacroCommandTestAsyncCommand();
+
+        // test assertions
+        expect(() => command.execute(new Notification("MacroCommandTest", new AsyncCommandTestVO(-1))))
+            .toThrow("SubCommand AsyncCommandTestCommand of MacroCommandTestAsyncCommand is asynchronous, use an AsyncMacroCommand to execute it");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(unhandled).toEqual([]);
+
+        process.off("unhandledRejection", onUnhandled);
+    });
+
 });
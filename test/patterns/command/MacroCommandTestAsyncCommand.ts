@@ -0,0 +1,32 @@
+//
+//  MacroCommandTestAsyncCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {MacroCommand} from "../../../src";
+import {AsyncCommandTestCommand} from "./AsyncCommandTestCommand";
+
+/**
+ * A MacroCommand subclass wrongly adding an asynchronous
+ * SubCommand, used by MacroCommandTest.
+ *
+ * @see MacroCommandTest
+ * @see AsyncCommandTestCommand
+ *
+ * @class MacroCommandTestAsyncCommand
+ * @extends MacroCommand
+ */
+export class MacroCommandTestAsyncCommand extends MacroCommand {
+
+    /**
+     * Initialize the MacroCommandTestAsyncCommand by adding
+     * its asynchronous SubCommand.
+     */
+    public override initializeMacroCommand() {
+        this.addSubCommand(() => new AsyncCommandTestCommand());
+    }
+
+}
@@ -0,0 +1,97 @@
+//
+//  ParallelMacroCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Notification} from "../../../src";
+import {ParallelMacroCommandTestVO} from "./ParallelMacroCommandTestVO";
+import {ParallelMacroCommandTestCommand} from "./ParallelMacroCommandTestCommand";
+import {ParallelMacroCommandTestStopCommand} from "./ParallelMacroCommandTestStopCommand";
+
+/**
+ * Test the PureMVC ParallelMacroCommand class.
+ *
+ * @see ParallelMacroCommandTestVO
+ * @see ParallelMacroCommandTestCommand
+ */
+describe("ParallelMacroCommandTest", () => {
+
+    /**
+     * Tests that a `ParallelMacroCommand` executes its
+     * SubCommands concurrently.
+     *
+     * The slower `ParallelMacroCommandTestSub1Command` completes
+     * after `ParallelMacroCommandTestSub2Command`, since it did not
+     * wait for it, and the conditional failing SubCommands are
+     * not executed for a positive input.
+     */
+    test("testParallelMacroCommandExecute", async () => {
+        const vo = new ParallelMacroCommandTestVO(5);
+        const command = new ParallelMacroCommandTestCommand();
+
+        await command.execute(new Notification("ParallelMacroCommandTest", vo));
+
+        // test assertions
+        expect(vo.result1).toBe(10);
+        expect(vo.result2).toBe(25);
+        expect(vo.completed).toEqual(["sub2", "sub1"]);
+    });
+
+    /**
+     * Tests that the failures of the SubCommands are aggregated,
+     * once all the SubCommands are complete.
+     */
+    test("testAggregatedErrors", async () => {
+        const vo = new ParallelMacroCommandTestVO(-5);
+        const command = new ParallelMacroCommandTestCommand();
+
+        const error: AggregateError = await command.execute(new Notification("ParallelMacroCommandTest", vo)).catch(error => error);
+
+        // test assertions
+        expect(error).toBeInstanceOf(AggregateError);
+        expect(error.errors.length).toBe(2);
+        expect(error.errors[0].message).toBe("ParallelMacroCommandTest failed");
+        expect(vo.completed).toEqual(["sub2", "sub1"]);
+    });
+
+    /**
+     * Tests that with `stopOnFailure`, the first failure
+     * rejects at once.
+     */
+    test("testStopOnFailure", async () => {
+        const vo = new ParallelMacroCommandTestVO(-5);
+        const command = new ParallelMacroCommandTestCommand(true);
+
+        const error: Error = await command.execute(new Notification("ParallelMacroCommandTest", vo)).catch(error => error);
+
+        // test assertions
+        expect(error).not.toBeInstanceOf(AggregateError);
+        expect(error.message).toBe("ParallelMacroCommandTest failed");
+        expect(vo.completed).toEqual([]);
+
+        // let the other SubCommands complete
+        await new Promise(resolve => setTimeout(resolve, 30));
+    });
+
+    /**
+     * Tests that `stopOnFailure` set in `initializeMacroCommand`
+     * is not reset by the `ParallelMacroCommand` default.
+     */
+    test("testStopOnFailureInitialized", async () => {
+        const vo = new ParallelMacroCommandTestVO(-5);
+        const command = new ParallelMacroCommandTestStopCommand();
+
+        const error: Error = await command.execute(new Notification("ParallelMacroCommandTest", vo)).catch(error => error);
+
+        // test assertions
+        expect(error).not.toBeInstanceOf(AggregateError);
+        expect(error.message).toBe("ParallelMacroCommandTest failed");
+
+        // let the other SubCommands complete
+        await new Promise(resolve => setTimeout(resolve, 30));
+    });
+
+});
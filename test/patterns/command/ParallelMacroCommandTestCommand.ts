@@ -0,0 +1,50 @@
+//
+//  ParallelMacroCommandTestCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {INotification, ParallelMacroCommand} from "../../../src";
+import {ParallelMacroCommandTestSub1Command} from "./ParallelMacroCommandTestSub1Command";
+import {ParallelMacroCommandTestSub2Command} from "./ParallelMacroCommandTestSub2Command";
+import {ParallelMacroCommandTestFailCommand} from "./ParallelMacroCommandTestFailCommand";
+
+/**
+ * A ParallelMacroCommand subclass used by ParallelMacroCommandTest.
+ *
+ * @see ParallelMacroCommandTest
+ * @see ParallelMacroCommandTestSub1Command
+ * @see ParallelMacroCommandTestSub2Command
+ * @see ParallelMacroCommandTestFailCommand
+ *
+ * @class ParallelMacroCommandTestCommand
+ * @extends ParallelMacroCommand
+ */
+export class ParallelMacroCommandTestCommand extends ParallelMacroCommand {
+
+    /**
+     * Constructor.
+     *
+     * @param {boolean} [stopOnFailure] whether the first failure rejects at once, if given
+     */
+    constructor(stopOnFailure?: boolean) {
+        super();
+        if (stopOnFailure != null) this.stopOnFailure = stopOnFailure;
+    }
+
+    /**
+     * Initialize the ParallelMacroCommandTestCommand by adding
+     * its 2 SubCommands, and 2 failing SubCommands
+     * executed for a negative input.
+     */
+    public override initializeMacroCommand() {
+        const negative = (notification: INotification) => notification.body.input < 0;
+        this.addSubCommand(() => new ParallelMacroCommandTestSub1Command());
+        this.addSubCommand(() => new ParallelMacroCommandTestSub2Command());
+        this.addSubCommandIf(negative, () => new ParallelMacroCommandTestFailCommand());
+        this.addSubCommandIf(negative, () => new ParallelMacroCommandTestFailCommand());
+    }
+
+}
@@ -0,0 +1,31 @@
+//
+//  ParallelMacroCommandTestFailCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {AsyncCommand, INotification} from "../../../src";
+
+/**
+ * A failing AsyncCommand subclass used by ParallelMacroCommandTestCommand.
+ *
+ * @see ParallelMacroCommandTest
+ * @see ParallelMacroCommandTestCommand
+ *
+ * @class ParallelMacroCommandTestFailCommand
+ * @extends AsyncCommand
+ */
+export class ParallelMacroCommandTestFailCommand extends AsyncCommand {
+
+    /**
+     * Reject with an error.
+     *
+     * @param {Notification} notification event the `INotification` carrying the `ParallelMacroCommandTestVO`
+     */
+    public override async execute(notification: INotification): Promise<void> {
+        throw Error(`${notification.name} failed`);
+    }
+
+}
@@ -0,0 +1,34 @@
+//
+//  ParallelMacroCommandTestStopCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {ParallelMacroCommandTestCommand} from "./ParallelMacroCommandTestCommand";
+
+/**
+ * A ParallelMacroCommandTestCommand subclass setting
+ * `stopOnFailure` in `initializeMacroCommand`, used by
+ * ParallelMacroCommandTest.
+ *
+ * @see ParallelMacroCommandTest
+ * @see ParallelMacroCommandTestCommand
+ *
+ * @class ParallelMacroCommandTestStopCommand
+ * @extends ParallelMacroCommandTestCommand
+ */
+export class ParallelMacroCommandTestStopCommand extends ParallelMacroCommandTestCommand {
+
+    /**
+     * Initialize the ParallelMacroCommandTestStopCommand by adding
+     * the SubCommands of ParallelMacroCommandTestCommand,
+     * rejecting at the first failure.
+     */
+    public override initializeMacroCommand() {
+        super.initializeMacroCommand();
+        this.stopOnFailure = true;
+    }
+
+}
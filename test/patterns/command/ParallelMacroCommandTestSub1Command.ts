@@ -0,0 +1,40 @@
+//
+//  ParallelMacroCommandTestSub1Command.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {AsyncCommand, INotification} from "../../../src";
+import {ParallelMacroCommandTestVO} from "./ParallelMacroCommandTestVO";
+
+/**
+ * An AsyncCommand subclass used by ParallelMacroCommandTestCommand.
+ *
+ * @see ParallelMacroCommandTest
+ * @see ParallelMacroCommandTestCommand
+ * @see ParallelMacroCommandTestVO
+ *
+ * @class ParallelMacroCommandTestSub1Command
+ * @extends AsyncCommand
+ */
+export class ParallelMacroCommandTestSub1Command extends AsyncCommand {
+
+    /**
+     * Fabricate a result by multiplying the input by 2,
+     * after a delay of 20ms.
+     *
+     * @param {Notification} notification event the `INotification` carrying the `ParallelMacroCommandTestVO`
+     */
+    public override async execute(notification: INotification): Promise<void> {
+        const vo = notification.body as ParallelMacroCommandTestVO;
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        // Fabricate a result
+        vo.result1 = 2 * vo.input;
+        vo.completed.push("sub1");
+    }
+
+}
@@ -0,0 +1,40 @@
+//
+//  ParallelMacroCommandTestSub2Command.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {AsyncCommand, INotification} from "../../../src";
+import {ParallelMacroCommandTestVO} from "./ParallelMacroCommandTestVO";
+
+/**
+ * An AsyncCommand subclass used by ParallelMacroCommandTestCommand.
+ *
+ * @see ParallelMacroCommandTest
+ * @see ParallelMacroCommandTestCommand
+ * @see ParallelMacroCommandTestVO
+ *
+ * @class ParallelMacroCommandTestSub2Command
+ * @extends AsyncCommand
+ */
+export class ParallelMacroCommandTestSub2Command extends AsyncCommand {
+
+    /**
+     * Fabricate a result by multiplying the input by itself,
+     * after a delay of 5ms.
+     *
+     * @param {Notification} notification event the `INotification` carrying the `ParallelMacroCommandTestVO`
+     */
+    public override async execute(notification: INotification): Promise<void> {
+        const vo = notification.body as ParallelMacroCommandTestVO;
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        // Fabricate a result
+        vo.result2 = vo.input * vo.input;
+        vo.completed.push("sub2");
+    }
+
+}
@@ -0,0 +1,35 @@
+//
+//  ParallelMacroCommandTestVO.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+/**
+ * A utility class used by ParallelMacroCommandTest.
+ *
+ * @see ParallelMacroCommandTest
+ * @see ParallelMacroCommandTestCommand
+ * @see ParallelMacroCommandTestSub1Command
+ * @see ParallelMacroCommandTestSub2Command
+ *
+ * @class ParallelMacroCommandTestVO
+ */
+export class ParallelMacroCommandTestVO {
+
+    public input: number;
+    public result1: number | undefined;
+    public result2: number | undefined;
+    public completed: string[] = [];
+
+    /**
+     * Constructor.
+     *
+     * @param {number} input the number to be fed to the ParallelMacroCommandTestCommand
+     */
+    constructor(input: number) {
+        this.input = input;
+    }
+
+}
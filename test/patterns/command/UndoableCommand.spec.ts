@@ -0,0 +1,189 @@
+//
+//  UndoableCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {CommandHistory, Controller, IController, Notification, View} from "../../../src";
+import {UndoableCommandTestVO} from "./UndoableCommandTestVO";
+import {UndoableCommandTestCommand} from "./UndoableCommandTestCommand";
+import {UndoableCommandTestMacroCommand} from "./UndoableCommandTestMacroCommand";
+import {UndoableCommandTestFailMacroCommand} from "./UndoableCommandTestFailMacroCommand";
+
+/**
+ * Test the PureMVC UndoableCommand, UndoableMacroCommand and CommandHistory classes.
+ *
+ * @see UndoableCommandTestVO
+ * @see UndoableCommandTestCommand
+ * @see UndoableCommandTestMacroCommand
+ */
+describe("UndoableCommandTest", () => {
+
+    /**
+     * Tests `undo` and `redo` of an `UndoableCommand`.
+     */
+    test("testUndoRedo", () => {
+        const vo: UndoableCommandTestVO = new UndoableCommandTestVO(5);
+        const command: UndoableCommandTestCommand = new UndoableCommandTestCommand();
+
+        command.execute(new Notification("UndoableCommandTest", vo));
+        command.undo();
+        const undone: number = vo.value;
+        command.redo();
+
+        // test assertions
+        expect(undone).toBe(5);
+        expect(vo.value).toBe(7);
+        expect(vo.log).toEqual(["add", "undo add", "add"]);
+    });
+
+    /**
+     * Tests that an `UndoableMacroCommand` undoes its
+     * SubCommands in reverse order, and redoes them in order.
+     */
+    test("testMacroUndoReverseOrder", () => {
+        const vo: UndoableCommandTestVO = new UndoableCommandTestVO(5);
+        const command: UndoableCommandTestMacroCommand = new UndoableCommandTestMacroCommand();
+
+        command.execute(new Notification("UndoableCommandTest", vo));
+        const executed: number = vo.value;
+        command.undo();
+        const undone: number = vo.value;
+        command.redo();
+
+        // test assertions
+        expect(executed).toBe(21);
+        expect(undone).toBe(5);
+        expect(vo.value).toBe(21);
+        expect(vo.log).toEqual(["add", "multiply", "undo multiply", "undo add", "add", "multiply"]);
+    });
+
+    /**
+     * Tests that an `UndoableMacroCommand` whose SubCommand
+     * throws undoes the SubCommands already executed.
+     */
+    test("testMacroRollbackOnFailure", () => {
+        const vo: UndoableCommandTestVO = new UndoableCommandTestVO(5);
+        const command: UndoableCommandTestFailMacroCommand = new UndoableCommandTestFailMacroCommand();
+
+        // test assertions
+        expect(() => command.execute(new Notification("UndoableCommandTest", vo))).toThrow("UndoableCommandTestFailCommand failed");
+        expect(vo.value).toBe(5);
+        expect(vo.log).toEqual(["add", "multiply", "fail", "undo multiply", "undo add"]);
+    });
+
+    /**
+     * Tests that a `CommandHistory` walks back and forth,
+     * discards undone commands on record, and respects its limit.
+     */
+    test("testCommandHistory", () => {
+        const vo: UndoableCommandTestVO = new UndoableCommandTestVO(0);
+        const history: CommandHistory = new CommandHistory(2);
+        const execute = () => {
+            const command: UndoableCommandTestCommand = new UndoableCommandTestCommand();
+            command.execute(new Notification("UndoableCommandTest", vo));
+            history.record(command);
+        };
+
+        execute();
+        execute();
+        execute();
+
+        // test assertions
+        expect(vo.value).toBe(6);
+        expect(history.undo()).toBe(true);
+        expect(history.undo()).toBe(true);
+        expect(history.undo()).toBe(false);
+        expect(vo.value).toBe(2);
+        expect(history.canRedo).toBe(true);
+
+        execute();
+
+        expect(history.canRedo).toBe(false);
+        expect(history.redo()).toBe(false);
+        expect(history.canUndo).toBe(true);
+    });
+
+    /**
+     * Tests that a command whose `undo` or `redo` throws
+     * stays where it was in the `CommandHistory`.
+     */
+    test("testCommandHistoryFailure", () => {
+        const vo: UndoableCommandTestVO = new UndoableCommandTestVO(0);
+        const history: CommandHistory = new CommandHistory();
+        const command: UndoableCommandTestCommand = new UndoableCommandTestCommand();
+        command.execute(new Notification("UndoableCommandTest", vo));
+        history.record(command);
+
+        // test assertions
+        jest.spyOn(command, "undo").mockImplementationOnce(() => { throw Error("undo failed"); });
+        expect(() => history.undo()).toThrow("undo failed");
+        expect(history.canUndo).toBe(true);
+        expect(history.canRedo).toBe(false);
+        expect(history.undo()).toBe(true);
+        expect(vo.value).toBe(0);
+
+        jest.spyOn(command, "redo").mockImplementationOnce(() => { throw Error("redo failed"); });
+        expect(() => history.redo()).toThrow("redo failed");
+        expect(history.canUndo).toBe(false);
+        expect(history.canRedo).toBe(true);
+        expect(history.redo()).toBe(true);
+        expect(vo.value).toBe(2);
+    });
+
+    /**
+     * Tests that `Controller.executeCommand` records undoable
+     * commands, and that `Controller.UNDO` and `Controller.REDO`
+     * walk the history.
+     */
+    test("testControllerUndoRedo", () => {
+        const controller: IController = Controller.getInstance("UndoableCommandTest", (key: string) => new Controller(key));
+        const view = View.getInstance("UndoableCommandTest", (key: string) => new View(key));
+        controller.registerCommand("UndoableCommandTest", () => new UndoableCommandTestMacroCommand());
+
+        const vo: UndoableCommandTestVO = new UndoableCommandTestVO(5);
+        view.notifyObservers(new Notification("UndoableCommandTest", vo));
+        const executed: number = vo.value;
+
+        view.notifyObservers(new Notification(Controller.UNDO));
+        const undone: number = vo.value;
+
+        view.notifyObservers(new Notification(Controller.REDO));
+
+        // test assertions
+        expect(executed).toBe(21);
+        expect(undone).toBe(5);
+        expect(vo.value).toBe(21);
+        expect(controller.commandHistory.canUndo).toBe(true);
+        expect(controller.commandHistory.canRedo).toBe(false);
+
+        controller.dispose();
+        View.removeView("UndoableCommandTest");
+    });
+
+    /**
+     * Tests that removing a command registered for `Controller.UNDO`
+     * leaves the history walked by `Controller.UNDO`.
+     */
+    test("testControllerUndoWithUndoCommand", () => {
+        const controller: IController = Controller.getInstance("UndoableCommandTestRemove", (key: string) => new Controller(key));
+        const view = View.getInstance("UndoableCommandTestRemove", (key: string) => new View(key));
+        controller.registerCommand("UndoableCommandTest", () => new UndoableCommandTestCommand());
+        controller.registerCommand(Controller.UNDO, () => new UndoableCommandTestCommand());
+        controller.removeCommand(Controller.UNDO);
+
+        const vo: UndoableCommandTestVO = new UndoableCommandTestVO(5);
+        view.notifyObservers(new Notification("UndoableCommandTest", vo));
+        view.notifyObservers(new Notification(Controller.UNDO));
+
+        // test assertions
+        expect(vo.value).toBe(5);
+        expect(controller.commandHistory.canRedo).toBe(true);
+
+        controller.dispose();
+        View.removeView("UndoableCommandTestRemove");
+    });
+
+});
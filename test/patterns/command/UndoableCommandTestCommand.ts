@@ -0,0 +1,43 @@
+//
+//  UndoableCommandTestCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {UndoableCommand, INotification} from "../../../src";
+import {UndoableCommandTestVO} from "./UndoableCommandTestVO";
+
+/**
+ * An UndoableCommand subclass used by UndoableCommandTest.
+ *
+ * @see UndoableCommandTest
+ * @see UndoableCommandTestVO
+ *
+ * @class UndoableCommandTestCommand
+ * @extends UndoableCommand
+ */
+export class UndoableCommandTestCommand extends UndoableCommand {
+
+    /**
+     * Add 2 to the value
+     *
+     * @param {Notification} notification the `Notification` carrying the `UndoableCommandTestVO`
+     */
+    protected override executeCommand(notification: INotification) {
+        const vo = notification.body as UndoableCommandTestVO;
+        vo.value += 2;
+        vo.log.push("add");
+    }
+
+    /**
+     * Subtract 2 from the value
+     */
+    public override undo() {
+        const vo = this.notification?.body as UndoableCommandTestVO;
+        vo.value -= 2;
+        vo.log.push("undo add");
+    }
+
+}
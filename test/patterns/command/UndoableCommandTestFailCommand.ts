@@ -0,0 +1,41 @@
+//
+//  UndoableCommandTestFailCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {UndoableCommand, INotification} from "../../../src";
+import {UndoableCommandTestVO} from "./UndoableCommandTestVO";
+
+/**
+ * A failing UndoableCommand subclass used by UndoableCommandTestFailMacroCommand.
+ *
+ * @see UndoableCommandTest
+ * @see UndoableCommandTestFailMacroCommand
+ * @see UndoableCommandTestVO
+ *
+ * @class UndoableCommandTestFailCommand
+ * @extends UndoableCommand
+ */
+export class UndoableCommandTestFailCommand extends UndoableCommand {
+
+    /**
+     * Throw an error
+     *
+     * @param {Notification} notification the `Notification` carrying the `UndoableCommandTestVO`
+     */
+    protected override executeCommand(notification: INotification) {
+        const vo = notification.body as UndoableCommandTestVO;
+        vo.log.push("fail");
+        throw Error("UndoableCommandTestFailCommand failed");
+    }
+
+    /**
+     * Nothing to undo
+     */
+    public override undo() {
+    }
+
+}
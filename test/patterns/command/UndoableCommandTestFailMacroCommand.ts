@@ -0,0 +1,35 @@
+//
+//  UndoableCommandTestFailMacroCommand.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {UndoableMacroCommand} from "../../../src";
+import {UndoableCommandTestCommand} from "./UndoableCommandTestCommand";
+import {UndoableCommandTestSub2Command} from "./UndoableCommandTestSub2Command";
+import {UndoableCommandTestFailCommand} from "./UndoableCommandTestFailCommand";
+
+/**
+ * An UndoableMacroCommand subclass whose last SubCommand fails, used by UndoableCommandTest.
+ *
+ * @see UndoableCommandTest
+ * @see UndoableCommandTestFailCommand
+ *
+ * @class UndoableCommandTestFailMacroCommand
+ * @extends UndoableMacroCommand
+ */
+export class UndoableCommandTestFailMacroCommand extends UndoableMacroCommand {
+
+    /**
+     * Initialize the UndoableCommandTestFailMacroCommand by adding
+     * its 3 SubCommands.
+     */
+    public override initializeMacroCommand() {
+        this.addSubCommand(() => new UndoableCommandTestCommand());
+        this.addSubCommand(() => new UndoableCommandTestSub2Command());
+        this.addSubCommand(() => new UndoableCommandTestFailCommand());
+    }
+
+}
@@ -0,0 +1,34 @@
+//
+//  UndoableCommandTestMacroCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {UndoableMacroCommand} from "../../../src";
+import {UndoableCommandTestCommand} from "./UndoableCommandTestCommand";
+import {UndoableCommandTestSub2Command} from "./UndoableCommandTestSub2Command";
+
+/**
+ * An UndoableMacroCommand subclass used by UndoableCommandTest.
+ *
+ * @see UndoableCommandTest
+ * @see UndoableCommandTestCommand
+ * @see UndoableCommandTestSub2Command
+ *
+ * @class UndoableCommandTestMacroCommand
+ * @extends UndoableMacroCommand
+ */
+export class UndoableCommandTestMacroCommand extends UndoableMacroCommand {
+
+    /**
+     * Initialize the UndoableCommandTestMacroCommand by adding
+     * its 2 SubCommands.
+     */
+    public override initializeMacroCommand() {
+        this.addSubCommand(() => new UndoableCommandTestCommand());
+        this.addSubCommand(() => new UndoableCommandTestSub2Command());
+    }
+
+}
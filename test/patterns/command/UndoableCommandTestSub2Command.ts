@@ -0,0 +1,44 @@
+//
+//  UndoableCommandTestSub2Command.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {UndoableCommand, INotification} from "../../../src";
+import {UndoableCommandTestVO} from "./UndoableCommandTestVO";
+
+/**
+ * An UndoableCommand subclass used by UndoableCommandTestMacroCommand.
+ *
+ * @see UndoableCommandTest
+ * @see UndoableCommandTestMacroCommand
+ * @see UndoableCommandTestVO
+ *
+ * @class UndoableCommandTestSub2Command
+ * @extends UndoableCommand
+ */
+export class UndoableCommandTestSub2Command extends UndoableCommand {
+
+    /**
+     * Multiply the value by 3
+     *
+     * @param {Notification} notification the `Notification` carrying the `UndoableCommandTestVO`
+     */
+    protected override executeCommand(notification: INotification) {
+        const vo = notification.body as UndoableCommandTestVO;
+        vo.value *= 3;
+        vo.log.push("multiply");
+    }
+
+    /**
+     * Divide the value by 3
+     */
+    public override undo() {
+        const vo = this.notification?.body as UndoableCommandTestVO;
+        vo.value /= 3;
+        vo.log.push("undo multiply");
+    }
+
+}
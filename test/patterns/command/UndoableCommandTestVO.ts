@@ -0,0 +1,33 @@
+//
+//  UndoableCommandTestVO.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+/**
+ * A utility class used by UndoableCommandTest.
+ *
+ * @see UndoableCommandTest
+ * @see UndoableCommandTestCommand
+ * @see UndoableCommandTestSub2Command
+ * @see UndoableCommandTestMacroCommand
+ *
+ * @class UndoableCommandTestVO
+ */
+export class UndoableCommandTestVO {
+
+    public value: number;
+    public log: string[] = [];
+
+    /**
+     * Constructor.
+     *
+     * @param {number} value the number to be changed by the commands
+     */
+    constructor(value: number) {
+        this.value = value;
+    }
+
+}
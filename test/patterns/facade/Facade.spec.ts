@@ -6,9 +6,15 @@
 //  Your reuse is governed by the BSD-3-Clause License
 //
 
-import {Facade, IProxy, Proxy, Mediator} from "../../../src";
+import {Facade, IProxy, Proxy, Mediator, INotification, Observer, Model, View, Controller} from "../../../src";
 import {FacadeTestCommand} from "./FacadeTestCommand";
 import {FacadeTestVO} from "./FacadeTestVO";
+import {FacadeTestNotifications} from "./FacadeTestNotifications";
+import {FacadeTestTypedCommand} from "./FacadeTestTypedCommand";
+import {FacadeTestProxy} from "./FacadeTestProxy";
+import {FacadeTestMediator} from "./FacadeTestMediator";
+import {FacadeTestInjectedCommand} from "./FacadeTestInjectedCommand";
+import {FacadeTestInjectedMediator} from "./FacadeTestInjectedMediator";
 
 /**
  * Test the PureMVC Facade class.
@@ -189,6 +195,74 @@ describe("FacadeTest", () => {
         expect(facade.hasMediator("facadeHasMediatorTest")).toBeFalsy();
     });
 
+    /**
+     * Tests registering an Observer once via the Facade.
+     */
+    test("testRegisterObserverOnce", () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        const notified: number[] = [];
+        facade.registerObserverOnce("FacadeOnceNote", new Observer((note: INotification) => notified.push(note.body), {}));
+
+        facade.sendNotification("FacadeOnceNote", 1);
+        facade.sendNotification("FacadeOnceNote", 2);
+
+        // test assertions
+        expect(notified).toEqual([1]);
+    });
+
+    /**
+     * Tests waiting for a Notification matching a predicate via the Facade,
+     * and that the temporary Observer is removed afterwards.
+     */
+    test("testWaitFor", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const removeObserver = jest.spyOn(View.getInstance(() => new View()), "removeObserver");
+
+        const promise: Promise<INotification> = facade.waitFor("FacadeWaitForNote", {
+            predicate: (note: INotification) => note.body > 1
+        });
+
+        facade.sendNotification("FacadeWaitForNote", 1);
+        facade.sendNotification("FacadeWaitForNote", 2);
+        facade.sendNotification("FacadeWaitForNote", 3);
+
+        // test assertions
+        const notification: INotification = await promise;
+        expect(notification.body).toBe(2);
+        expect(removeObserver).toHaveBeenCalledTimes(1);
+        expect(removeObserver).toHaveBeenCalledWith("FacadeWaitForNote", expect.anything());
+
+        removeObserver.mockRestore();
+    });
+
+    /**
+     * Tests that waiting for a Notification rejects on timeout.
+     */
+    test("testWaitForTimeout", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        // test assertions
+        await expect(facade.waitFor("FacadeWaitForTimeoutNote", {timeout: 10})).rejects.toThrow("Timed out");
+    });
+
+    /**
+     * Tests that waiting for a Notification rejects when aborted.
+     */
+    test("testWaitForAbort", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        const controller = new AbortController();
+        const promise: Promise<INotification> = facade.waitFor("FacadeWaitForAbortNote", {signal: controller.signal});
+        controller.abort(Error("Stop waiting"));
+
+        // test assertions
+        await expect(promise).rejects.toThrow("Stop waiting");
+
+        // an already aborted signal rejects immediately
+        await expect(facade.waitFor("FacadeWaitForAbortNote", {signal: controller.signal})).rejects.toThrow("Stop waiting");
+    });
+
     /**
      * Test hasCommand method.
      */
@@ -207,4 +281,277 @@ describe("FacadeTest", () => {
         expect(facade.hasCommand("facadeHasCommandTest")).toBeFalsy();
     });
 
+    /**
+     * Tests that Cores with different multiton keys are isolated.
+     *
+     * A Proxy registered with a Core sends its Notifications
+     * to the Core it was registered with.
+     */
+    test("testMultitonCores", () => {
+        const facadeA = Facade.getInstance("FacadeTestCoreA", (key: string) => new Facade(key));
+        const facadeB = Facade.getInstance("FacadeTestCoreB", (key: string) => new Facade(key));
+        facadeA.registerProxy(new Proxy("coreProxy", "A"));
+        facadeB.registerCommand("FacadeCoreNote", () => new FacadeTestCommand());
+
+        const proxy: IProxy = new Proxy("coreProxy", "B");
+        facadeB.registerProxy(proxy);
+        const vo = new FacadeTestVO(21);
+        proxy.sendNotification("FacadeCoreNote", vo);
+
+        // test assertions
+        expect(facadeA).not.toBe(facadeB);
+        expect(Facade.getInstance("FacadeTestCoreA", (key: string) => new Facade(key))).toBe(facadeA);
+        expect(facadeA.retrieveProxy("coreProxy")?.data).toBe("A");
+        expect(facadeB.retrieveProxy("coreProxy")?.data).toBe("B");
+        expect(facadeA.hasCommand("FacadeCoreNote")).toBe(false);
+        expect(vo.result).toBe(42);
+        expect(() => new Facade("FacadeTestCoreA")).toThrow();
+    });
+
+    /**
+     * Tests removing a Core.
+     */
+    test("testRemoveCore", () => {
+        const facade = Facade.getInstance("FacadeTestRemoveCore", (key: string) => new Facade(key));
+        facade.registerProxy(new Proxy("removeCoreProxy"));
+        expect(Facade.hasCore("FacadeTestRemoveCore")).toBe(true);
+
+        Facade.removeCore("FacadeTestRemoveCore");
+
+        // test assertions
+        expect(Facade.hasCore("FacadeTestRemoveCore")).toBe(false);
+        const recreated = Facade.getInstance("FacadeTestRemoveCore", (key: string) => new Facade(key));
+        expect(recreated).not.toBe(facade);
+        expect(recreated.hasProxy("removeCoreProxy")).toBe(false);
+    });
+
+    /**
+     * Tests a Facade typed with a notification map.
+     *
+     * Names and bodies are checked at compile time, and the
+     * command receives a union of notifications discriminated by name.
+     */
+    test("testNotificationMap", async () => {
+        const facade = Facade.getInstance<FacadeTestNotifications>("FacadeTestTyped", (key: string) => new Facade<FacadeTestNotifications>(key));
+        facade.registerCommand("FacadeTypedDouble", () => new FacadeTestTypedCommand());
+        facade.registerCommand("FacadeTypedSquare", () => new FacadeTestTypedCommand());
+
+        const double = new FacadeTestVO(5);
+        const square = new FacadeTestVO(5);
+        facade.sendNotification("FacadeTypedDouble", double);
+        facade.sendNotification("FacadeTypedSquare", square);
+
+        const waiting = facade.waitFor("FacadeTypedReset");
+        facade.sendNotification("FacadeTypedReset", 0);
+        const reset: number = (await waiting).body;
+
+        // @ts-expect-error the body of FacadeTypedReset is a number
+        facade.sendNotification("FacadeTypedReset", double);
+        // @ts-expect-error FacadeTypedTypo is not a notification of the map
+        facade.sendNotification("FacadeTypedTypo");
+        // @ts-expect-error the body of FacadeTypedReset is required
+        facade.sendNotification("FacadeTypedReset");
+
+        // test assertions
+        expect(double.result).toBe(10);
+        expect(square.result).toBe(25);
+        expect(reset).toBe(0);
+    });
+
+    /**
+     * Tests retrieving Proxies and Mediators by class.
+     */
+    test("testRetrieveByClass", () => {
+        const facade = Facade.getInstance("FacadeTestRetrieveByClass", (key: string) => new Facade(key));
+        expect(facade.retrieveProxy(FacadeTestProxy)).toBeNull();
+        expect(facade.retrieveMediator(FacadeTestMediator)).toBeNull();
+
+        facade.registerProxy(new FacadeTestProxy());
+        facade.registerMediator(new FacadeTestMediator("label"));
+
+        // test assertions
+        expect(facade.retrieveProxy(FacadeTestProxy)?.increment()).toBe(1);
+        expect(facade.requireProxy(FacadeTestProxy).increment()).toBe(2);
+        expect(facade.retrieveMediator(FacadeTestMediator)?.label).toBe("label");
+        expect(facade.requireMediator(FacadeTestMediator).label).toBe("label");
+        expect(facade.requireProxy(FacadeTestProxy.NAME)).toBe(facade.retrieveProxy(FacadeTestProxy.NAME));
+
+        // an instance of another class registered under the NAME is not returned
+        facade.removeProxy(FacadeTestProxy.NAME);
+        facade.registerProxy(new Proxy(FacadeTestProxy.NAME));
+        expect(facade.retrieveProxy(FacadeTestProxy)).toBeNull();
+        expect(() => facade.requireProxy(FacadeTestProxy)).toThrow("Proxy FacadeTestProxy is not an instance of FacadeTestProxy");
+    });
+
+    /**
+     * Tests that requiring an unregistered Proxy or Mediator throws.
+     */
+    test("testRequireUnregistered", () => {
+        const facade = Facade.getInstance("FacadeTestRequire", (key: string) => new Facade(key));
+
+        // test assertions
+        expect(() => facade.requireProxy(FacadeTestProxy)).toThrow("Proxy FacadeTestProxy is not registered");
+        expect(() => facade.requireProxy("missingProxy")).toThrow("Proxy missingProxy is not registered");
+        expect(() => facade.requireMediator(FacadeTestMediator)).toThrow("Mediator FacadeTestMediator is not registered");
+    });
+
+    /**
+     * Tests tearing down a Core with dispose.
+     */
+    test("testDispose", () => {
+        const facade = Facade.getInstance("FacadeTestDispose", (key: string) => new Facade(key));
+        const proxy: IProxy = new Proxy("disposeProxy");
+        const mediator = new Mediator("disposeMediator");
+        const proxyOnRemove = jest.spyOn(proxy, "onRemove");
+        const mediatorOnRemove = jest.spyOn(mediator, "onRemove");
+        facade.registerProxy(proxy);
+        facade.registerMediator(mediator);
+        facade.registerCommand("FacadeDisposeNote", () => new FacadeTestCommand());
+
+        facade.dispose();
+
+        // test assertions
+        expect(proxyOnRemove).toHaveBeenCalledTimes(1);
+        expect(mediatorOnRemove).toHaveBeenCalledTimes(1);
+        expect(facade.hasProxy("disposeProxy")).toBe(false);
+        expect(facade.hasMediator("disposeMediator")).toBe(false);
+        expect(facade.hasCommand("FacadeDisposeNote")).toBe(false);
+        expect(Facade.hasCore("FacadeTestDispose")).toBe(false);
+
+        const vo = new FacadeTestVO(5);
+        facade.sendNotification("FacadeDisposeNote", vo);
+        expect(vo.result).toBe(0);
+
+        const recreated = Facade.getInstance("FacadeTestDispose", (key: string) => new Facade(key));
+        expect(recreated).not.toBe(facade);
+        expect(recreated.hasCommand("FacadeDisposeNote")).toBe(false);
+    });
+
+    /**
+     * Tests that an observer notified before a command may
+     * veto a notification sent with sendCancelableNotification.
+     */
+    test("testSendCancelableNotification", () => {
+        const facade = Facade.getInstance("FacadeTestCancelable", (key: string) => new Facade(key));
+        facade.registerCommand("FacadeCancelableNote", () => new FacadeTestCommand());
+        View.getInstance("FacadeTestCancelable", (key: string) => new View(key))
+            .registerObserver("FacadeCancelableNote", new Observer((note: INotification) => {
+                if (note.body.input < 0) note.cancel();
+            }, {}, 1));
+
+        const valid = new FacadeTestVO(5);
+        const invalid = new FacadeTestVO(-5);
+
+        // test assertions
+        expect(facade.sendCancelableNotification("FacadeCancelableNote", valid)).toBe(true);
+        expect(valid.result).toBe(10);
+        expect(facade.sendCancelableNotification("FacadeCancelableNote", invalid)).toBe(false);
+        expect(invalid.result).toBe(0);
+
+        facade.dispose();
+    });
+
+    /**
+     * Tests tearing down every Core with resetAll.
+     */
+    test("testResetAll", () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const proxy: IProxy = new Proxy("resetAllProxy");
+        const proxyOnRemove = jest.spyOn(proxy, "onRemove");
+        Facade.getInstance("FacadeTestResetAll", (key: string) => new Facade(key)).registerProxy(proxy);
+
+        // Model, View and Controller instances created without a Facade
+        const model = Model.getInstance("FacadeTestResetAllActors", (key: string) => new Model(key));
+        const view = View.getInstance("FacadeTestResetAllActors", (key: string) => new View(key));
+        const controller = Controller.getInstance("FacadeTestResetAllActors", (key: string) => new Controller(key));
+        const standaloneProxy: IProxy = new Proxy("resetAllStandaloneProxy");
+        const standaloneOnRemove = jest.spyOn(standaloneProxy, "onRemove");
+        model.registerProxy(standaloneProxy);
+
+        Facade.resetAll();
+
+        // test assertions
+        expect(proxyOnRemove).toHaveBeenCalledTimes(1);
+        expect(standaloneOnRemove).toHaveBeenCalledTimes(1);
+        expect(Facade.hasCore("FacadeTestResetAll")).toBe(false);
+        expect(Facade.hasCore(Facade.DEFAULT_KEY)).toBe(false);
+        expect(Facade.getInstance(() => new Facade())).not.toBe(facade);
+        expect(Model.getInstance("FacadeTestResetAllActors", (key: string) => new Model(key))).not.toBe(model);
+        expect(View.getInstance("FacadeTestResetAllActors", (key: string) => new View(key))).not.toBe(view);
+        expect(Controller.getInstance("FacadeTestResetAllActors", (key: string) => new Controller(key))).not.toBe(controller);
+    });
+
+    /**
+     * Tests that the duplicate policy of a Core is applied
+     * alike to proxies, mediators and commands.
+     */
+    test("testDuplicatePolicy", () => {
+        const facade = Facade.getInstance("FacadeTestDuplicateCore", (key: string) => new Facade(key));
+        const proxy = new Proxy("duplicateProxy", "first");
+        const mediator = new Mediator("duplicateMediator", "first");
+        const onRemove = jest.spyOn(proxy, "onRemove");
+        facade.registerProxy(proxy);
+        facade.registerMediator(mediator);
+        facade.registerCommand("duplicateNote", () => new FacadeTestCommand());
+
+        // test assertions
+        facade.setDuplicatePolicy("throw");
+        expect(() => facade.registerProxy(new Proxy("duplicateProxy"))).toThrow("Proxy duplicateProxy is already registered");
+        expect(() => facade.registerMediator(new Mediator("duplicateMediator"))).toThrow("Mediator duplicateMediator is already registered");
+        expect(() => facade.registerCommand("duplicateNote", () => new FacadeTestCommand())).toThrow("Command already registered for duplicateNote");
+
+        facade.setDuplicatePolicy("ignore");
+        facade.registerProxy(new Proxy("duplicateProxy", "second"));
+        facade.registerMediator(new Mediator("duplicateMediator", "second"));
+        expect(facade.retrieveProxy("duplicateProxy")).toBe(proxy);
+        expect(facade.retrieveMediator("duplicateMediator")).toBe(mediator);
+
+        facade.setDuplicatePolicy("replace");
+        facade.registerProxy(new Proxy("duplicateProxy", "third"));
+        facade.registerMediator(new Mediator("duplicateMediator", "third"));
+        expect(facade.retrieveProxy("duplicateProxy")?.data).toBe("third");
+        expect(facade.retrieveMediator("duplicateMediator")?.viewComponent).toBe("third");
+        expect(onRemove).toHaveBeenCalledTimes(1);
+
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => undefined);
+        facade.setDuplicatePolicy("warn");
+        facade.registerProxy(new Proxy("duplicateProxy", "fourth"));
+        expect(facade.retrieveProxy("duplicateProxy")?.data).toBe("fourth");
+        expect(warn).toHaveBeenCalledWith("Proxy duplicateProxy is already registered, replacing it");
+        warn.mockRestore();
+
+        facade.dispose();
+    });
+
+    /**
+     * Tests that the dependencies declared by the static inject
+     * map of a Command or Mediator are filled in, and that a
+     * missing dependency throws a clear error.
+     */
+    test("testInjection", () => {
+        const facade = Facade.getInstance("FacadeTestInjectionCore", (key: string) => new Facade(key));
+        facade.registerCommand("injectionNote", () => new FacadeTestInjectedCommand());
+
+        // test assertions
+        expect(() => facade.registerMediator(new FacadeTestInjectedMediator()))
+            .toThrow("Cannot inject testProxy into FacadeTestInjectedMediator: Proxy FacadeTestProxy is not registered");
+        expect(facade.hasMediator(FacadeTestInjectedMediator.NAME)).toBe(false);
+
+        const proxy = new FacadeTestProxy();
+        facade.registerProxy(proxy);
+        const mediator = new FacadeTestInjectedMediator();
+        facade.registerMediator(mediator);
+        expect(mediator.registeredWith).toBe(proxy);
+
+        expect(() => facade.sendNotification("injectionNote", new FacadeTestVO(0)))
+            .toThrow("Cannot inject testMediator into FacadeTestInjectedCommand: Mediator FacadeTestMediator is not registered");
+
+        facade.registerMediator(new FacadeTestMediator(10));
+        const vo = new FacadeTestVO(0);
+        facade.sendNotification("injectionNote", vo);
+        expect(vo.result).toBe(11);
+
+        facade.dispose();
+    });
+
 });
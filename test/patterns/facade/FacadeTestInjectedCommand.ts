@@ -0,0 +1,43 @@
+//
+//  FacadeTestInjectedCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {SimpleCommand, INotification, InjectMap} from "../../../src";
+import {FacadeTestProxy} from "./FacadeTestProxy";
+import {FacadeTestMediator} from "./FacadeTestMediator";
+import {FacadeTestVO} from "./FacadeTestVO";
+
+/**
+ * A SimpleCommand subclass used by FacadeTest, with injected dependencies.
+ *
+ * @see FacadeTest
+ * @see FacadeTestProxy
+ * @see FacadeTestMediator
+ *
+ * @class FacadeTestInjectedCommand
+ * @extends SimpleCommand
+ */
+export class FacadeTestInjectedCommand extends SimpleCommand {
+
+    public static inject: InjectMap = {testProxy: FacadeTestProxy, testMediator: FacadeTestMediator};
+
+    public testProxy!: FacadeTestProxy;
+    public testMediator!: FacadeTestMediator;
+
+    /**
+     * Fabricate a result by incrementing the injected proxy.
+     *
+     * @param {INotification} notification the Notification carrying the FacadeTestVO
+     */
+    public override execute(notification: INotification) {
+        const vo = notification.body as FacadeTestVO;
+
+        // Fabricate a result
+        vo.result = this.testProxy.increment() + Number(this.testMediator.label);
+    }
+
+}
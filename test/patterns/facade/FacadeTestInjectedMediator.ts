@@ -0,0 +1,38 @@
+//
+//  FacadeTestInjectedMediator.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Mediator, InjectMap} from "../../../src";
+import {FacadeTestProxy} from "./FacadeTestProxy";
+
+/**
+ * A Mediator subclass used by FacadeTest, with an injected dependency.
+ *
+ * @see FacadeTest
+ * @see FacadeTestProxy
+ *
+ * @class FacadeTestInjectedMediator
+ * @extends Mediator
+ */
+export class FacadeTestInjectedMediator extends Mediator {
+
+    public static NAME: string = "FacadeTestInjectedMediator";
+
+    public static inject: InjectMap = {testProxy: FacadeTestProxy};
+
+    public testProxy!: FacadeTestProxy;
+    public registeredWith?: FacadeTestProxy;
+
+    public constructor() {
+        super(FacadeTestInjectedMediator.NAME);
+    }
+
+    public override onRegister(): void {
+        this.registeredWith = this.testProxy;
+    }
+
+}
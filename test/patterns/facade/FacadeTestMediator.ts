@@ -0,0 +1,31 @@
+//
+//  FacadeTestMediator.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Mediator} from "../../../src";
+
+/**
+ * A Mediator subclass used by FacadeTest.
+ *
+ * @see FacadeTest
+ *
+ * @class FacadeTestMediator
+ * @extends Mediator
+ */
+export class FacadeTestMediator extends Mediator {
+
+    public static NAME: string = "FacadeTestMediator";
+
+    public constructor(viewComponent?: any) {
+        super(FacadeTestMediator.NAME, viewComponent);
+    }
+
+    public get label(): string {
+        return String(this.viewComponent);
+    }
+
+}
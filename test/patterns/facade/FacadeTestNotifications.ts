@@ -0,0 +1,24 @@
+//
+//  FacadeTestNotifications.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {FacadeTestVO} from "./FacadeTestVO";
+
+/**
+ * A notification map used by FacadeTest.
+ *
+ * @interface FacadeTestNotifications
+ */
+export interface FacadeTestNotifications {
+
+    FacadeTypedDouble: FacadeTestVO;
+
+    FacadeTypedSquare: FacadeTestVO;
+
+    FacadeTypedReset: number;
+
+}
@@ -0,0 +1,31 @@
+//
+//  FacadeTestProxy.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Proxy} from "../../../src";
+
+/**
+ * A Proxy subclass used by FacadeTest.
+ *
+ * @see FacadeTest
+ *
+ * @class FacadeTestProxy
+ * @extends Proxy
+ */
+export class FacadeTestProxy extends Proxy {
+
+    public static NAME: string = "FacadeTestProxy";
+
+    public constructor() {
+        super(FacadeTestProxy.NAME, 0);
+    }
+
+    public increment(): number {
+        return ++this.data;
+    }
+
+}
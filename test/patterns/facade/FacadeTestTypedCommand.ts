@@ -0,0 +1,40 @@
+//
+//  FacadeTestTypedCommand.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {SimpleCommand, NotificationOf} from "../../../src";
+import {FacadeTestNotifications} from "./FacadeTestNotifications";
+
+/**
+ * A SimpleCommand subclass used by FacadeTest, executing
+ * a union of notifications discriminated by name.
+ *
+ * @see FacadeTest
+ * @see FacadeTestNotifications
+ *
+ * @class FacadeTestTypedCommand
+ * @extends SimpleCommand
+ */
+export class FacadeTestTypedCommand extends SimpleCommand<NotificationOf<FacadeTestNotifications, "FacadeTypedDouble" | "FacadeTypedSquare">> {
+
+    /**
+     * Fabricate a result by doubling or squaring the input
+     *
+     * @param {Notification} notification the Notification carrying the FacadeTestVO
+     */
+    public override execute(notification: NotificationOf<FacadeTestNotifications, "FacadeTypedDouble" | "FacadeTypedSquare">): void  {
+        switch (notification.name) {
+        case "FacadeTypedDouble":
+            notification.body.result = notification.body.input * 2;
+            break;
+        case "FacadeTypedSquare":
+            notification.body.result = notification.body.input * notification.body.input;
+            break;
+        }
+    }
+
+}
@@ -51,6 +51,41 @@ describe("NotificationTest", () => {
         expect(notification.type).toBe("TestNoteType");
     });
 
+    /**
+     * Tests canceling a cancelable and a non-cancelable notification.
+     */
+    test("testCancel", () => {
+        // Notifications are not cancelable by default
+        const notification: INotification = new Notification("TestNote");
+        notification.cancel();
+
+        // test assertions
+        expect(notification.cancelable).toBe(false);
+        expect(notification.isCanceled).toBe(false);
+
+        // Create a cancelable Notification and cancel it
+        const cancelable: INotification = new Notification("TestNote", null, undefined, true);
+        expect(cancelable.isCanceled).toBe(false);
+        cancelable.cancel();
+
+        // test assertions
+        expect(cancelable.cancelable).toBe(true);
+        expect(cancelable.isCanceled).toBe(true);
+    });
+
+    /**
+     * Tests stopping the propagation of a notification.
+     */
+    test("testStopPropagation", () => {
+        const notification: INotification = new Notification("TestNote");
+        expect(notification.isPropagationStopped).toBe(false);
+
+        notification.stopPropagation();
+
+        // test assertions
+        expect(notification.isPropagationStopped).toBe(true);
+    });
+
     /**
      * Tests the toString method of the notification
      */
@@ -0,0 +1,148 @@
+//
+//  NotificationStream.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Facade, INotification, INotificationStream, View} from "../../../src";
+
+/**
+ * Test the PureMVC NotificationStream class.
+ *
+ * @see NotificationStream
+ * @see Facade
+ */
+describe("NotificationStreamTest", () => {
+
+    /**
+     * Tests consuming a stream with `for await`, and that
+     * breaking out of the loop removes the stream's observers.
+     */
+    test("testForAwaitAndBreak", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const view = View.getInstance(() => new View());
+
+        const removeObserver = jest.spyOn(view, "removeObserver");
+
+        const stream = facade.stream(["StreamA", "StreamB"]);
+        facade.sendNotification("StreamA", 1);
+        facade.sendNotification("StreamC", 2);
+        facade.sendNotification("StreamB", 3);
+        setTimeout(() => facade.sendNotification("StreamA", 4), 0);
+
+        const received: unknown[] = [];
+        for await (const note of stream) {
+            received.push(note.body);
+            if (received.length == 3) break;
+        }
+
+        // test assertions
+        expect(received).toEqual([1, 3, 4]);
+        expect(removeObserver).toHaveBeenCalledWith("StreamA", stream);
+        expect(removeObserver).toHaveBeenCalledWith("StreamB", stream);
+        expect(await stream.next()).toEqual({value: undefined, done: true});
+    });
+
+    /**
+     * Tests that a notification matching several names
+     * of the stream is only yielded once.
+     */
+    test("testOverlappingNames", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        const stream = facade.stream(["StreamUser/*", "StreamUser/login"]);
+        facade.sendNotification("StreamUser/login", 1);
+        facade.sendNotification("StreamUser/logout", 2);
+        stream.close();
+
+        const bodies: unknown[] = [];
+        for await (const note of stream) bodies.push(note.body);
+
+        // test assertions
+        expect(bodies).toEqual([1, 2]);
+    });
+
+    /**
+     * Tests the `"dropOldest"` and `"dropNewest"` overflow policies.
+     */
+    test("testDropPolicies", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        const oldest = facade.stream(["StreamDrop"], {bufferSize: 2, overflow: "dropOldest"});
+        const newest = facade.stream(["StreamDrop"], {bufferSize: 2, overflow: "dropNewest"});
+        [1, 2, 3, 4].forEach(body => facade.sendNotification("StreamDrop", body));
+        oldest.close();
+        newest.close();
+
+        const drain = async (stream: INotificationStream): Promise<unknown[]> => {
+            const bodies: unknown[] = [];
+            for await (const note of stream) bodies.push(note.body);
+            return bodies;
+        };
+
+        // test assertions
+        expect(await drain(oldest)).toEqual([3, 4]);
+        expect(await drain(newest)).toEqual([1, 2]);
+    });
+
+    /**
+     * Tests that the `"block"` overflow policy makes
+     * asynchronous senders wait for the consumer.
+     */
+    test("testBlockPolicy", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        const stream = facade.stream(["StreamBlock"], {bufferSize: 1, overflow: "block"});
+        await facade.sendNotificationAsync("StreamBlock", 1);
+
+        let sent: boolean = false;
+        const sending = facade.sendNotificationAsync("StreamBlock", 2).then(() => { sent = true; });
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(sent).toBe(false);
+
+        const first: IteratorResult<INotification> = await stream.next();
+        await sending;
+
+        // test assertions
+        expect(first.value.body).toBe(1);
+        expect(sent).toBe(true);
+        expect((await stream.next()).value.body).toBe(2);
+        stream.close();
+    });
+
+    /**
+     * Tests that the `"block"` overflow policy stays bounded
+     * for senders who do not wait for the consumer.
+     */
+    test("testBlockPolicyBounded", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        const stream = facade.stream(["StreamBlockSync"], {bufferSize: 2, overflow: "block"});
+        for (let body: number = 1; body <= 10; body++) facade.sendNotification("StreamBlockSync", body);
+        stream.close();
+
+        const bodies: unknown[] = [];
+        for await (const note of stream) bodies.push(note.body);
+
+        // test assertions
+        expect(bodies).toEqual([1, 2, 3, 4]);
+    });
+
+    /**
+     * Tests that closing the stream ends a waiting consumer.
+     */
+    test("testCloseEndsWaitingConsumer", async () => {
+        const facade = Facade.getInstance(() => new Facade());
+
+        const stream = facade.stream(["StreamClose"]);
+        const pending = stream.next();
+        stream.close();
+
+        // test assertions
+        expect(await pending).toEqual({value: undefined, done: true});
+    });
+
+});
@@ -84,4 +84,20 @@ describe("ObserverTest", () => {
         expect(observer.compareNotifyContext(this)).toBe(true);
     });
 
+    /**
+     * Tests the priority accessors of the Observer class
+     */
+    test("testObserverPriority", () => {
+        // Observers default to a priority of 0
+        const observer = new Observer(observerTestMethod, this);
+        expect(observer.priority).toBe(0);
+
+        // priority can be passed to the constructor or set afterwards
+        const priorityObserver = new Observer(observerTestMethod, this, 10);
+        expect(priorityObserver.priority).toBe(10);
+
+        priorityObserver.priority = -5;
+        expect(priorityObserver.priority).toBe(-5);
+    });
+
 });
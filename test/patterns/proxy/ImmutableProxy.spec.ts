@@ -0,0 +1,147 @@
+//
+//  ImmutableProxy.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Facade, ImmutableProxy, INotification, Observer, View} from "../../../src";
+
+/**
+ * Test the PureMVC ImmutableProxy class.
+ *
+ * @see ImmutableProxy
+ */
+describe("ImmutableProxyTest", () => {
+
+    interface Doc {
+        title: string;
+        meta: { author: string; tags: string[] };
+        pages: { text: string }[];
+    }
+
+    const createDoc = (): Doc => ({title: "Draft", meta: {author: "Ada", tags: ["a"]}, pages: [{text: "one"}]});
+
+    /**
+     * Register an observer collecting the changed notifications sent by a proxy.
+     *
+     * @param {string} notificationName - The changed notification name.
+     * @returns {INotification[]} The notifications received.
+     */
+    const observeChanges = (notificationName: string): INotification[] => {
+        const notes: INotification[] = [];
+        View.getInstance(() => new View()).registerObserver(notificationName, new Observer((note: INotification) => {
+            notes.push(note);
+        }, notes));
+        return notes;
+    };
+
+    /**
+     * Tests that the data is deep-frozen.
+     */
+    test("testDeepFrozen", () => {
+        const proxy = new ImmutableProxy<Doc>("ImmutableFrozen", createDoc());
+
+        // test assertions
+        expect(Object.isFrozen(proxy.data)).toBe(true);
+        expect(Object.isFrozen(proxy.data.meta.tags)).toBe(true);
+        expect(Object.isFrozen(proxy.data.pages[0])).toBe(true);
+        expect(() => { proxy.data.meta.author = "Grace"; }).toThrow(TypeError);
+    });
+
+    /**
+     * Tests that update produces a new version sharing the unchanged parts.
+     */
+    test("testUpdateStructuralSharing", () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const proxy = new ImmutableProxy<Doc>("ImmutableUpdate", createDoc());
+        facade.registerProxy(proxy);
+        const notes: INotification[] = observeChanges("ImmutableUpdate/changed");
+        const first: Doc = proxy.data;
+
+        proxy.update(draft => {
+            draft.pages.push({text: "two"});
+        });
+
+        // test assertions
+        expect(proxy.data).not.toBe(first);
+        expect(proxy.data.pages.map(page => page.text)).toEqual(["one", "two"]);
+        expect(proxy.data.meta).toBe(first.meta);
+        expect(proxy.data.pages[0]).toBe(first.pages[0]);
+        expect(Object.isFrozen(proxy.data.pages[1])).toBe(true);
+        expect(first.pages.length).toBe(1);
+        expect(notes.length).toBe(1);
+        expect(notes[0].type).toBe(ImmutableProxy.UPDATE);
+        expect(notes[0].body.changedPaths).toEqual(["pages.1"]);
+
+        // a recipe may return new data, and an update changing nothing keeps the version
+        proxy.update(data => ({...data, title: "Final"}));
+        expect(proxy.data.title).toBe("Final");
+        const current: Doc = proxy.data;
+        proxy.update(draft => { draft.title = "Final"; });
+        expect(proxy.data).toBe(current);
+        expect(notes.length).toBe(2);
+    });
+
+    /**
+     * Tests undo and redo.
+     */
+    test("testUndoRedo", () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const proxy = new ImmutableProxy<Doc>("ImmutableUndo", createDoc());
+        facade.registerProxy(proxy);
+        const notes: INotification[] = observeChanges("ImmutableUndo/changed");
+        const first: Doc = proxy.data;
+
+        // test assertions
+        expect(proxy.canUndo).toBe(false);
+        expect(proxy.undo()).toBe(false);
+
+        proxy.update(draft => { draft.title = "Second"; });
+        const second: Doc = proxy.data;
+        proxy.update(draft => { draft.title = "Third"; });
+
+        expect(proxy.undo()).toBe(true);
+        expect(proxy.data).toBe(second);
+        expect(proxy.undo()).toBe(true);
+        expect(proxy.data).toBe(first);
+        expect(proxy.canUndo).toBe(false);
+        expect(proxy.redo()).toBe(true);
+        expect(proxy.data).toBe(second);
+        expect(notes.map(note => note.type)).toEqual([
+            ImmutableProxy.UPDATE, ImmutableProxy.UPDATE, ImmutableProxy.UNDO, ImmutableProxy.UNDO, ImmutableProxy.REDO
+        ]);
+
+        // a new change discards the undone versions
+        proxy.patch({title: "Other"});
+        expect(proxy.canRedo).toBe(false);
+        expect(proxy.redo()).toBe(false);
+    });
+
+    /**
+     * Tests that the history is bounded, and that a batch is undone at once.
+     */
+    test("testHistoryLimitAndBatch", () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const proxy = new ImmutableProxy<{ count: number }>("ImmutableLimit", {count: 0}, 2);
+        facade.registerProxy(proxy);
+
+        for (let i: number = 1; i <= 4; i++) proxy.patch({count: i});
+        proxy.batch(() => {
+            proxy.patch({count: 5});
+            proxy.patch({count: 6});
+        });
+
+        // test assertions
+        expect(proxy.undo()).toBe(true);
+        expect(proxy.data.count).toBe(4);
+        expect(proxy.undo()).toBe(true);
+        expect(proxy.data.count).toBe(3);
+        expect(proxy.undo()).toBe(false);
+
+        proxy.clearHistory();
+        expect(proxy.canRedo).toBe(false);
+    });
+
+});
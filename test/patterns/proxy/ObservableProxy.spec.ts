@@ -0,0 +1,93 @@
+//
+//  ObservableProxy.spec.ts
+//  PureMVC TypeScript Standard
+//
+//  Copyright(c) 2024 Saad Shams <saad.shams@puremvc.org>
+//  Your reuse is governed by the BSD-3-Clause License
+//
+
+import {Facade, INotification, ObservableProxy, Observer, ProxyChange, View} from "../../../src";
+
+/**
+ * Test the PureMVC ObservableProxy class.
+ *
+ * @see ObservableProxy
+ */
+describe("ObservableProxyTest", () => {
+
+    /**
+     * Register an observer collecting the changes sent by a proxy.
+     *
+     * @param {string} notificationName - The changed notification name.
+     * @returns {ProxyChange[]} The changes received.
+     */
+    const observeChanges = (notificationName: string): ProxyChange[] => {
+        const changes: ProxyChange[] = [];
+        const view = View.getInstance(() => new View());
+        view.registerObserver(notificationName, new Observer((note: INotification) => {
+            changes.push(note.body);
+        }, changes));
+        return changes;
+    };
+
+    /**
+     * Tests that setting the data sends the changed notification.
+     */
+    test("testSetData", () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const proxy = new ObservableProxy<string>("ObservableSet", "red");
+        facade.registerProxy(proxy);
+        const changes: ProxyChange[] = observeChanges("ObservableSet/changed");
+
+        proxy.data = "green";
+        proxy.data = "green";
+
+        // test assertions
+        expect(proxy.changedNotificationName).toBe("ObservableSet" + ObservableProxy.CHANGED);
+        expect(changes).toEqual([{oldData: "red", newData: "green", changedPaths: [""]}]);
+    });
+
+    /**
+     * Tests that patching the data sends the paths that changed.
+     */
+    test("testPatch", () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const data = {name: "Ada", address: {city: "London", zip: "N1"}, tags: ["math"]};
+        const proxy = new ObservableProxy("ObservablePatch", data, "ObservablePatchChanged");
+        facade.registerProxy(proxy);
+        const changes: ProxyChange[] = observeChanges("ObservablePatchChanged");
+
+        proxy.patch({address: {city: "Paris", zip: "N1"}, tags: ["math", "code"]});
+
+        // test assertions
+        expect(changes.length).toBe(1);
+        expect(changes[0].oldData).toBe(data);
+        expect(changes[0].newData).toEqual({name: "Ada", address: {city: "Paris", zip: "N1"}, tags: ["math", "code"]});
+        expect(changes[0].changedPaths).toEqual(["address.city", "tags.1"]);
+        expect(data.address.city).toBe("London");
+    });
+
+    /**
+     * Tests that a batch coalesces several changes into one notification.
+     */
+    test("testBatch", () => {
+        const facade = Facade.getInstance(() => new Facade());
+        const proxy = new ObservableProxy("ObservableBatch", {a: 1, b: 2, c: 3});
+        facade.registerProxy(proxy);
+        const changes: ProxyChange[] = observeChanges("ObservableBatch/changed");
+
+        proxy.batch(() => {
+            proxy.patch({a: 10});
+            proxy.batch(() => proxy.patch({b: 20}));
+            proxy.patch({a: 1});
+        });
+
+        // test assertions
+        expect(changes).toEqual([{oldData: {a: 1, b: 2, c: 3}, newData: {a: 1, b: 20, c: 3}, changedPaths: ["b"]}]);
+
+        // a batch changing nothing sends nothing
+        proxy.batch(() => proxy.patch({c: 3}));
+        expect(changes.length).toBe(1);
+    });
+
+});